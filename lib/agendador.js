@@ -0,0 +1,128 @@
+// lib/agendador.js
+// Agendador: o servidor consulta /mercado/status de tempos em tempos e reage às mudanças
+// (config/temporada.json → "agendador"):
+//   { "acoes": { "rodadaPontuada": ["rodada", "geral"], "novoMes": ["mensal"] } }
+// Eventos: mercadoAberto, mercadoFechado, rodadaPontuada (saiu a pontuação oficial) e novoMes
+// (a rodada atual caiu num novo segmento mensal; a ação "mensal" monta o resultado final do anterior).
+// Ações: os tipos de mensagem do servidor (/rodada, /geral, /mensal...).
+// O último status visto e os eventos já processados ficam em data/agendador.json (CARTOLA_SCHEDULER_FILE),
+// para um restart não disparar a mesma ação duas vezes.
+import fs from "fs";
+import path from "path";
+import { lastScoredRound } from "./historico.js";
+import { pickCompetition } from "./competicoes.js";
+
+export const SCHEDULER_FILE =
+  process.env.CARTOLA_SCHEDULER_FILE || path.join(process.cwd(), "data", "agendador.json");
+
+export const SCHEDULER_EVENTS = {
+  mercadoAberto: "mercado aberto",
+  mercadoFechado: "mercado fechado",
+  rodadaPontuada: "rodada pontuada",
+  novoMes: "novo mês",
+};
+
+export const SCHEDULER_ACTIONS = [
+  "rodada",
+  "parcial",
+  "escalacoes",
+  "geral",
+  "recordes",
+  "premios",
+  "confrontos",
+  "tabela-confrontos",
+  "copa",
+  "mensal",
+];
+
+// Eventos processados guardados por liga (os mais antigos saem)
+const MAX_PROCESSED = 100;
+
+/**
+ * Valida config.agendador. Devolve a lista de problemas (vazia se ok ou se não houver agendador).
+ */
+export function validateSchedulerConfig(a) {
+  if (a == null) return [];
+  if (!a.acoes || typeof a.acoes !== "object") return ["agendador: acoes obrigatório (ex.: { \"rodadaPontuada\": [\"rodada\"] })"];
+  const problems = [];
+  for (const [evento, acoes] of Object.entries(a.acoes)) {
+    if (!SCHEDULER_EVENTS[evento]) {
+      problems.push(`agendador: evento desconhecido "${evento}" (use ${Object.keys(SCHEDULER_EVENTS).join(", ")})`);
+      continue;
+    }
+    if (!Array.isArray(acoes)) {
+      problems.push(`agendador: acoes.${evento} deve ser uma lista de mensagens`);
+      continue;
+    }
+    acoes
+      .filter((x) => !SCHEDULER_ACTIONS.includes(x))
+      .forEach((x) => problems.push(`agendador: ação desconhecida "${x}" em ${evento} (use ${SCHEDULER_ACTIONS.join(", ")})`));
+  }
+  return problems;
+}
+
+// Ações configuradas para o evento ([] se nenhuma)
+export function actionsFor(cfg, evento) {
+  return cfg?.agendador?.acoes?.[evento] || [];
+}
+
+/**
+ * Eventos entre dois status do mercado ({ status_mercado, rodada_atual }) para uma temporada.
+ * Sem status anterior (primeira execução) não há evento: o status atual só vira a referência.
+ * Cada evento: { tipo, id, rodada, opcoes } — `id` é estável (ex.: "rodadaPontuada:12") e
+ * `opcoes` vai para a montagem da mensagem (ex.: { competicao } no novoMes).
+ */
+export function detectEvents(anterior, atual, cfg) {
+  if (!anterior || !atual) return [];
+  const eventos = [];
+  const rodada = atual.rodada_atual;
+  const mudouRodada = anterior.rodada_atual !== rodada;
+
+  const ultima = lastScoredRound(atual);
+  if (ultima >= 1 && ultima > lastScoredRound(anterior)) {
+    eventos.push({ tipo: "rodadaPontuada", id: `rodadaPontuada:${ultima}`, rodada: ultima, opcoes: { rodada: ultima } });
+  }
+
+  const mesAnterior = pickCompetition(cfg, "mensal", anterior.rodada_atual);
+  const mesAtual = pickCompetition(cfg, "mensal", rodada);
+  if (mesAnterior && mesAtual && mesAnterior.key !== mesAtual.key && rodada > anterior.rodada_atual) {
+    eventos.push({ tipo: "novoMes", id: `novoMes:${mesAtual.key}`, rodada, opcoes: { competicao: mesAnterior } });
+  }
+
+  if (atual.status_mercado === 1 && (anterior.status_mercado !== 1 || mudouRodada)) {
+    eventos.push({ tipo: "mercadoAberto", id: `mercadoAberto:${rodada}`, rodada, opcoes: {} });
+  }
+  if (atual.status_mercado === 2 && (anterior.status_mercado !== 2 || mudouRodada)) {
+    eventos.push({ tipo: "mercadoFechado", id: `mercadoFechado:${rodada}`, rodada, opcoes: {} });
+  }
+  return eventos;
+}
+
+/**
+ * Estado salvo: { mercado: { status_mercado, rodada_atual }, processados: { [slug]: [id] },
+ * falhas: { [slug:id]: n }, ultimoEvento, mensagens: { [slug]: { [acao]: { evento, geradoEm, texto } } } }.
+ */
+export function loadSchedulerState(file = SCHEDULER_FILE) {
+  try {
+    return { processados: {}, falhas: {}, mensagens: {}, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+  } catch (e) {
+    return { mercado: null, processados: {}, falhas: {}, ultimoEvento: null, mensagens: {} };
+  }
+}
+
+export function saveSchedulerState(state, file = SCHEDULER_FILE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2), "utf8");
+  fs.renameSync(tmp, file);
+}
+
+export function isProcessed(state, slug, id) {
+  return (state.processados[slug] || []).includes(id);
+}
+
+export function markProcessed(state, slug, id) {
+  const lista = [...(state.processados[slug] || []), id];
+  state.processados[slug] = lista.slice(-MAX_PROCESSED);
+  delete state.falhas[`${slug}:${id}`];
+}
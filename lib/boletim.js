@@ -0,0 +1,107 @@
+// lib/boletim.js
+// Boletim de um participante ("como eu estou?"): pontos rodada a rodada, posição na geral ao fim
+// de cada rodada, melhor/pior rodada, média, colocação em cada mensal e prêmios ganhos.
+// Tudo a partir do histórico local de pontos por rodada (lib/historico.js).
+import { getRoundPoints, roundRange } from "./historico.js";
+import { competitionsOfType, tiebreakersFor } from "./competicoes.js";
+import { eligibilityNote, prizeRanking, startRound } from "./elegibilidade.js";
+import { formatMoney, prizeLedger } from "./premios.js";
+import { rankBySum } from "./ranking.js";
+
+const round2 = (v) => Number(Number(v).toFixed(2));
+
+// Posição (e empate) do time num ranking; null se ele não está lá
+function placing(ranked, timeId) {
+  const e = ranked.find((x) => x.time_id === timeId);
+  return e ? { pos: e.pos, empate: Boolean(e.empate), pontos: e.pontos, de: ranked.length } : null;
+}
+
+/**
+ * Boletim do time até `ultimaRodada` (última pontuada). null se o time não é da liga.
+ * { time_id, time, cartoleiro, ultimaRodada, rodadas: [{ rodada, pontos, posGeral }],
+ *   jogadas, media, melhor, pior, posGeral, mensais: [{ key, label, start, end, encerrado, pos, empate, pontos, de, premiado }],
+ *   premios: { total, itens: [{ descricao, pos, valor }] } | null }  — valores dos prêmios em centavos.
+ */
+export function teamReport(times, timeId, ultimaRodada, cfg) {
+  const t = times.find((x) => x?.time_id === timeId);
+  if (!t) return null;
+  const desempate = tiebreakersFor(cfg);
+  const inicio = startRound(cfg);
+
+  const rodadas = roundRange(1, ultimaRodada).map((r) => {
+    const pontos = getRoundPoints(timeId, r);
+    const geral = placing(rankBySum(times, roundRange(1, r), { desempate, inicio }), timeId);
+    return { rodada: r, pontos, posGeral: geral?.pos ?? null };
+  });
+
+  const jogadas = rodadas.filter((r) => r.pontos != null);
+  const extremo = (dir) => (jogadas.length ? jogadas.reduce((a, r) => (dir * r.pontos > dir * a.pontos ? r : a)) : null);
+
+  const mensais = competitionsOfType(cfg, "mensal")
+    .filter((c) => c.start <= ultimaRodada)
+    .map((c) => {
+      const ate = Math.min(c.end, ultimaRodada);
+      const ranked = rankBySum(times, roundRange(c.start, ate), { desempate: tiebreakersFor(cfg, c), inicio });
+      const lugar = placing(ranked, timeId);
+      // premiado pela posição entre quem pode levar prêmio (lib/elegibilidade.js)
+      const premio = placing(prizeRanking(cfg, ranked, c.premiados), timeId);
+      return {
+        key: c.key,
+        label: c.label,
+        start: c.start,
+        end: c.end,
+        encerrado: c.end <= ultimaRodada,
+        ...(lugar || { pos: null, empate: false, pontos: null, de: 0 }),
+        premiado: Boolean(premio && c.end <= ultimaRodada),
+      };
+    });
+
+  const ledger = prizeLedger(cfg, times, ultimaRodada);
+  const ganhos = ledger?.ganhos.find((g) => g.time_id === timeId);
+
+  return {
+    time_id: timeId,
+    time: t?.nome?.trim(),
+    cartoleiro: t?.nome_cartola?.trim(),
+    elegibilidade: eligibilityNote(cfg, timeId) || null,
+    ultimaRodada,
+    rodadas,
+    jogadas: jogadas.length,
+    media: jogadas.length ? round2(jogadas.reduce((a, r) => a + r.pontos, 0) / jogadas.length) : null,
+    melhor: extremo(1),
+    pior: extremo(-1),
+    posGeral: rodadas.length ? rodadas[rodadas.length - 1].posGeral : null,
+    mensais,
+    premios: ledger ? { total: ganhos?.total ?? 0, itens: ganhos?.itens ?? [] } : null,
+  };
+}
+
+/**
+ * Dados do templates/time.txt (servidor e generate.js). `fmt` formata os pontos.
+ */
+export function reportTemplateData(report, fmt) {
+  const posicao = (pos) => (pos == null ? "-" : `${pos}º`);
+  return {
+    ...report,
+    semRodadas: !report.jogadas,
+    media: fmt(report.media),
+    melhor: report.melhor && { ...report.melhor, pontos: fmt(report.melhor.pontos) },
+    pior: report.pior && { ...report.pior, pontos: fmt(report.pior.pontos) },
+    posGeral: posicao(report.posGeral),
+    rodadas: report.rodadas.map((r, i) => {
+      const antes = report.rodadas[i - 1]?.posGeral;
+      const diff = antes != null && r.posGeral != null ? antes - r.posGeral : 0;
+      return {
+        ...r,
+        pontos: fmt(r.pontos),
+        posGeral: posicao(r.posGeral),
+        movimento: diff > 0 ? `↑${diff}` : diff < 0 ? `↓${-diff}` : null,
+      };
+    }),
+    mensais: report.mensais.map((m) => ({ ...m, pos: posicao(m.pos), pontos: fmt(m.pontos) })),
+    premios: report.premios && {
+      total: formatMoney(report.premios.total),
+      itens: report.premios.itens.map((x) => ({ ...x, valor: formatMoney(x.valor) })),
+    },
+  };
+}
@@ -0,0 +1,50 @@
+// lib/cache.js
+// Cache em memória com TTL, uma única busca por chave ao mesmo tempo
+// e fallback para o último dado bom quando a API falha.
+
+const entries = new Map(); // key -> { value, fetchedAt, expiresAt }
+const inflight = new Map(); // key -> Promise
+
+/**
+ * Devolve { value, fetchedAt, stale }.
+ * - dentro do TTL: valor em cache, sem chamar a API;
+ * - expirado: busca de novo (requisições simultâneas compartilham a mesma busca);
+ * - busca falhou e existe valor anterior: devolve o anterior com stale = true;
+ * - busca falhou sem valor anterior: repassa o erro.
+ * `ttlMs` pode ser número ou função (valor) => ms.
+ */
+export async function cached(key, ttlMs, fetcher) {
+  const entry = entries.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    return { value: entry.value, fetchedAt: entry.fetchedAt, stale: false };
+  }
+
+  if (!inflight.has(key)) {
+    const p = (async () => {
+      const value = await fetcher();
+      const ttl = typeof ttlMs === "function" ? ttlMs(value) : ttlMs;
+      const fresh = { value, fetchedAt: new Date(), expiresAt: Date.now() + Math.max(0, Number(ttl) || 0) };
+      entries.set(key, fresh);
+      return fresh;
+    })().finally(() => inflight.delete(key));
+    inflight.set(key, p);
+  }
+
+  try {
+    const fresh = await inflight.get(key);
+    return { value: fresh.value, fetchedAt: fresh.fetchedAt, stale: false };
+  } catch (err) {
+    if (!entry) throw err;
+    return { value: entry.value, fetchedAt: entry.fetchedAt, stale: true, error: err };
+  }
+}
+
+export function clearCache(key) {
+  if (key == null) entries.clear();
+  else entries.delete(key);
+}
+
+// Remove as chaves em que `test(key)` é verdadeiro (ex.: dados de uma rodada que já passou)
+export function clearCacheWhere(test) {
+  for (const key of [...entries.keys()]) if (test(key)) entries.delete(key);
+}
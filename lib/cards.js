@@ -0,0 +1,163 @@
+// lib/cards.js
+// Cards de ranking em imagem para compartilhar no grupo: SVG montado aqui mesmo e PNG via
+// @resvg/resvg-js (renderizador nativo, sem navegador nem GPU). As fontes vêm do sistema
+// (DejaVu Sans de preferência); CARTOLA_CARD_FONTS aceita arquivos .ttf extras separados por vírgula.
+// Entrada: linhas já formatadas ({ pos, time, cartoleiro, pontos, movimento }), como nos templates.
+
+const WIDTH = 800;
+const PAD = 32;
+const HEADER_H = 112;
+const ROW_H = 52;
+const FOOTER_H = 48;
+const FONT = "DejaVu Sans, Arial, Helvetica, sans-serif";
+
+const COLORS = {
+  fundo: "#ffffff",
+  cabecalho: "#0b6e4f",
+  listra: "#f1f5f3",
+  texto: "#1f2933",
+  suave: "#6b7785",
+  sobe: "#16a34a",
+  desce: "#dc2626",
+};
+// medalha por posição (1º, 2º, 3º); o resto fica cinza
+const MEDALS = ["#d4a017", "#9ca3af", "#b8733d"];
+const MEDAL_DEFAULT = "#cbd5e1";
+
+const FONT_FILES = (process.env.CARTOLA_CARD_FONTS || "").split(",").map((f) => f.trim()).filter(Boolean);
+
+const escapeXml = (t) =>
+  String(t ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Corta nomes longos para não invadir a coluna de pontos
+const fit = (t, max) => {
+  const chars = [...String(t ?? "")];
+  return chars.length > max ? `${chars.slice(0, max - 1).join("")}…` : chars.join("");
+};
+
+function text(x, y, value, { size = 16, weight = "normal", color = COLORS.texto, anchor = "start" } = {}) {
+  return `<text x="${x}" y="${y}" font-family="${FONT}" font-size="${size}" font-weight="${weight}" fill="${color}" text-anchor="${anchor}">${escapeXml(value)}</text>`;
+}
+
+const medalColor = (pos) => MEDALS[pos - 1] || MEDAL_DEFAULT;
+
+function movementColor(movimento) {
+  if (String(movimento).startsWith("↑")) return COLORS.sobe;
+  if (String(movimento).startsWith("↓")) return COLORS.desce;
+  return COLORS.suave;
+}
+
+function header(titulo, subtitulo) {
+  return [
+    `<rect x="0" y="0" width="${WIDTH}" height="${HEADER_H}" fill="${COLORS.cabecalho}"/>`,
+    text(PAD, 52, fit(titulo, 40), { size: 30, weight: "bold", color: "#ffffff" }),
+    subtitulo ? text(PAD, 86, fit(subtitulo, 60), { size: 18, color: "#d1fae5" }) : "",
+  ].join("");
+}
+
+function footer(y, rodape) {
+  return rodape ? text(WIDTH / 2, y + 30, rodape, { size: 14, color: COLORS.suave, anchor: "middle" }) : "";
+}
+
+function row(l, i, y) {
+  const xPontos = WIDTH - PAD - (l.movimento ? 64 : 0);
+  return [
+    i % 2 ? `<rect x="0" y="${y}" width="${WIDTH}" height="${ROW_H}" fill="${COLORS.listra}"/>` : "",
+    `<circle cx="${PAD + 18}" cy="${y + ROW_H / 2}" r="18" fill="${medalColor(l.pos)}"/>`,
+    text(PAD + 18, y + ROW_H / 2 + 6, l.pos, { size: 16, weight: "bold", color: MEDALS[l.pos - 1] ? "#ffffff" : COLORS.texto, anchor: "middle" }),
+    text(PAD + 52, y + 23, fit(l.time, 34), { size: 18, weight: "bold" }),
+    l.cartoleiro ? text(PAD + 52, y + 42, fit(l.cartoleiro, 40), { size: 13, color: COLORS.suave }) : "",
+    text(xPontos, y + ROW_H / 2 + 7, l.pontos, { size: 20, weight: "bold", anchor: "end" }),
+    l.movimento
+      ? text(WIDTH - PAD, y + ROW_H / 2 + 6, l.movimento, { size: 15, weight: "bold", color: movementColor(l.movimento), anchor: "end" })
+      : "",
+  ].join("");
+}
+
+function svg(height, body) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}">` +
+    `<rect width="100%" height="100%" fill="${COLORS.fundo}"/>${body}</svg>\n`;
+}
+
+function emptyBody(y, aviso) {
+  return text(WIDTH / 2, y + 60, aviso, { size: 20, color: COLORS.suave, anchor: "middle" });
+}
+
+/**
+ * Card de tabela (TOP 10 da rodada, classificação geral completa...).
+ * `vazio`: texto quando não há linhas.
+ */
+export function rankingCard({ titulo, subtitulo = "", linhas, rodape = "", vazio = "Sem pontuação ainda." }) {
+  const corpo = linhas.length ? linhas.map((l, i) => row(l, i, HEADER_H + 8 + i * ROW_H)).join("") : emptyBody(HEADER_H, vazio);
+  const fim = HEADER_H + 8 + Math.max(linhas.length * ROW_H, 100);
+  return svg(fim + FOOTER_H, header(titulo, subtitulo) + corpo + footer(fim, rodape));
+}
+
+/**
+ * Card de pódio (premiados do mês): os três primeiros em degraus (2º, 1º, 3º) e, embaixo,
+ * a lista de todos os premiados (empatados incluídos).
+ */
+export function podiumCard({ titulo, subtitulo = "", linhas, rodape = "", vazio = "Sem pontuação ainda." }) {
+  if (!linhas.length) return rankingCard({ titulo, subtitulo, linhas, rodape, vazio });
+
+  const PODIUM_H = 250;
+  const base = HEADER_H + PODIUM_H;
+  const degraus = [
+    { l: linhas[1], x: WIDTH / 2 - 230, h: 120 },
+    { l: linhas[0], x: WIDTH / 2, h: 170 },
+    { l: linhas[2], x: WIDTH / 2 + 230, h: 90 },
+  ].filter((d) => d.l);
+  const podio = degraus
+    .map(({ l, x, h }) =>
+      [
+        `<rect x="${x - 95}" y="${base - h}" width="190" height="${h}" rx="8" fill="${medalColor(l.pos)}"/>`,
+        text(x, base - h + 48, `${l.pos}º`, { size: 36, weight: "bold", color: "#ffffff", anchor: "middle" }),
+        text(x, base - h - 38, fit(l.time, 18), { size: 17, weight: "bold", anchor: "middle" }),
+        text(x, base - h - 14, l.pontos, { size: 16, color: COLORS.suave, anchor: "middle" }),
+      ].join("")
+    )
+    .join("");
+
+  const lista = linhas.map((l, i) => row(l, i, base + 16 + i * ROW_H)).join("");
+  const fim = base + 16 + linhas.length * ROW_H;
+  return svg(fim + FOOTER_H, header(titulo, subtitulo) + podio + lista + footer(fim, rodape));
+}
+
+// Os cards do projeto (servidor e generate.js montam as linhas; aqui ficam títulos e layout)
+export function roundCard({ liga, rodada, linhas, geradoEm }) {
+  return rankingCard({ titulo: "TOP 10 da rodada", subtitulo: `${liga} · Rodada ${rodada}`, linhas, rodape: `Gerado em ${geradoEm}` });
+}
+
+export function overallCard({ liga, rodada, linhas, geradoEm }) {
+  return rankingCard({ titulo: "Classificação geral", subtitulo: `${liga} · Rodada ${rodada}`, linhas, rodape: `Gerado em ${geradoEm}` });
+}
+
+// `linhas`: só os premiados do mês (TOP competicao.premiados, com empates)
+export function monthlyCard({ liga, competicao, linhas, geradoEm }) {
+  return podiumCard({
+    titulo: "Premiados do mês",
+    subtitulo: `${liga} · ${competicao.label}`,
+    linhas,
+    rodape: `Gerado em ${geradoEm}`,
+  });
+}
+
+/**
+ * SVG -> PNG (Buffer). O renderizador é carregado só quando alguém pede PNG;
+ * sem @resvg/resvg-js instalado o erro diz o que fazer.
+ */
+export async function svgToPng(svgText, { largura = 1080 } = {}) {
+  let Resvg;
+  try {
+    ({ Resvg } = await import("@resvg/resvg-js"));
+  } catch (e) {
+    const err = new Error("PNG indisponível: instale @resvg/resvg-js (npm install) ou use o .svg");
+    err.status = 501;
+    throw err;
+  }
+  const resvg = new Resvg(svgText, {
+    fitTo: { mode: "width", value: largura },
+    font: { loadSystemFonts: true, fontFiles: FONT_FILES, defaultFontFamily: "DejaVu Sans" },
+  });
+  return resvg.render().asPng();
+}
@@ -0,0 +1,163 @@
+// lib/competicoes.js
+// Configuração da temporada: competições definidas como faixas de rodadas
+// (mensais, turnos e copas avulsas), cada uma com seu número de premiados.
+import fs from "fs";
+import path from "path";
+import { TIEBREAKERS } from "./ranking.js";
+import { validateCopaConfig } from "./copa.js";
+import { validateSchedulerConfig } from "./agendador.js";
+import { validateDeliveryConfig } from "./envio.js";
+import { validateEligibilityConfig } from "./elegibilidade.js";
+
+export const SEASON_CONFIG_FILE =
+  process.env.CARTOLA_SEASON_CONFIG || path.join(process.cwd(), "config", "temporada.json");
+
+function validateTiebreakers(list, where) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) return [`${where}: desempate deve ser uma lista`];
+  return list
+    .filter((k) => !TIEBREAKERS[k])
+    .map((k) => `${where}: critério de desempate desconhecido "${k}" (use ${Object.keys(TIEBREAKERS).join(", ")})`);
+}
+
+// "premiacao": inscrição, pagantes e como o bolo se divide (ver lib/premios.js).
+// Categorias: "rodada" (mito de cada rodada), "geral" (classificação final) ou um tipo de competição.
+function validatePrizeConfig(p, competicoes) {
+  if (p == null) return [];
+  const problems = [];
+  const sum = (list) => list.reduce((a, v) => a + Number(v), 0);
+  if (!(Number(p.inscricao) > 0)) problems.push("premiacao: inscricao deve ser um valor positivo");
+  if (p.pagantes != null && (!Array.isArray(p.pagantes) || !p.pagantes.every(Number.isInteger))) {
+    problems.push("premiacao: pagantes deve ser uma lista de time_id (vazia = todos os times que concorrem a prêmio)");
+  }
+  const divisao = p.divisao && typeof p.divisao === "object" ? p.divisao : null;
+  if (!divisao) return [...problems, "premiacao: divisao obrigatória (ex.: { \"mensal\": 45, \"geral\": 40, \"rodada\": 15 })"];
+  if (Math.abs(sum(Object.values(divisao)) - 100) > 0.001) problems.push("premiacao: os percentuais de divisao devem somar 100");
+
+  for (const cat of Object.keys(divisao)) {
+    const doTipo = competicoes.filter((c) => c?.tipo === cat);
+    if (cat !== "rodada" && cat !== "geral" && !doTipo.length) {
+      problems.push(`premiacao: categoria desconhecida "${cat}" (use rodada, geral ou um tipo de competição)`);
+      continue;
+    }
+    const dist = p.distribuicao?.[cat];
+    if (!Array.isArray(dist) || !dist.length || !dist.every((v) => Number(v) >= 0)) {
+      problems.push(`premiacao: distribuicao.${cat} deve ser uma lista de percentuais por posição`);
+      continue;
+    }
+    if (Math.abs(sum(dist) - 100) > 0.001) problems.push(`premiacao: distribuicao.${cat} deve somar 100`);
+    doTipo
+      .filter((c) => c.premiados !== dist.length)
+      .forEach((c) => problems.push(`premiacao: distribuicao.${cat} paga ${dist.length} posições, mas ${c.key} tem ${c.premiados} premiados`));
+  }
+  return problems;
+}
+
+// "confrontos" (opcional, ver lib/confrontos.js): rodada de início e margem de empate
+function validateConfrontosConfig(c, totalRodadas) {
+  if (c == null) return [];
+  const problems = [];
+  if (c.inicio != null && (!Number.isInteger(c.inicio) || c.inicio < 1 || c.inicio > totalRodadas)) {
+    problems.push(`confrontos: inicio deve ser uma rodada entre 1 e ${totalRodadas}`);
+  }
+  if (c.margemEmpate != null && !(Number(c.margemEmpate) >= 0)) problems.push("confrontos: margemEmpate deve ser >= 0");
+  return problems;
+}
+
+// "parciais" (opcional, ver lib/parciais.js): multiplicador do capitão
+function validateParciaisConfig(p) {
+  if (p?.multiplicadorCapitao == null) return [];
+  return Number(p.multiplicadorCapitao) > 0 ? [] : ["parciais: multiplicadorCapitao deve ser um número positivo"];
+}
+
+// Tipos que precisam cobrir a temporada inteira, sem sobreposição e sem buracos
+const TILED_TYPES = ["mensal", "turno"];
+
+/**
+ * Valida a configuração e devolve a lista de problemas (vazia se estiver tudo certo).
+ */
+export function validateSeasonConfig(cfg) {
+  const problems = [];
+  const totalRodadas = Number(cfg?.totalRodadas);
+  const competicoes = Array.isArray(cfg?.competicoes) ? cfg.competicoes : null;
+
+  if (!Number.isInteger(totalRodadas) || totalRodadas < 1) problems.push("totalRodadas deve ser um inteiro positivo");
+  problems.push(...validateTiebreakers(cfg?.desempate, "temporada"));
+  if (!competicoes) return [...problems, "competicoes deve ser uma lista"];
+
+  const keys = new Set();
+  for (const c of competicoes) {
+    const id = c?.key || "(sem key)";
+    if (!c?.key || typeof c.key !== "string") problems.push(`competição sem key: ${JSON.stringify(c)}`);
+    else if (keys.has(c.key)) problems.push(`key repetida: ${c.key}`);
+    else keys.add(c.key);
+
+    if (!c?.label) problems.push(`${id}: label obrigatório`);
+    if (!Number.isInteger(c?.start) || !Number.isInteger(c?.end) || c.start > c.end) {
+      problems.push(`${id}: start/end inválidos (${c?.start}–${c?.end})`);
+    } else if (c.start < 1 || (Number.isInteger(totalRodadas) && c.end > totalRodadas)) {
+      problems.push(`${id}: rodadas ${c.start}–${c.end} fora da temporada (1–${totalRodadas})`);
+    }
+    if (!Number.isInteger(c?.premiados) || c.premiados < 1) problems.push(`${id}: premiados deve ser um inteiro positivo`);
+    problems.push(...validateTiebreakers(c?.desempate, id));
+  }
+  problems.push(...validatePrizeConfig(cfg.premiacao, competicoes));
+  problems.push(...validateConfrontosConfig(cfg.confrontos, totalRodadas));
+  problems.push(...validateCopaConfig(cfg.copa, totalRodadas));
+  problems.push(...validateParciaisConfig(cfg.parciais));
+  problems.push(...validateSchedulerConfig(cfg.agendador));
+  problems.push(...validateDeliveryConfig(cfg.envio));
+  problems.push(...validateEligibilityConfig(cfg.elegibilidade, totalRodadas, cfg.premiacao?.pagantes));
+
+  if (!Number.isInteger(totalRodadas)) return problems;
+
+  for (const tipo of TILED_TYPES) {
+    const list = competicoes
+      .filter((c) => c?.tipo === tipo && Number.isInteger(c?.start) && Number.isInteger(c?.end))
+      .sort((a, b) => a.start - b.start);
+    if (!list.length) continue;
+
+    let esperado = 1;
+    for (const c of list) {
+      if (c.start > esperado) problems.push(`${tipo}: rodadas ${esperado}–${c.start - 1} sem competição (buraco antes de ${c.key})`);
+      if (c.start < esperado) problems.push(`${tipo}: ${c.key} sobrepõe a competição anterior (começa na rodada ${c.start})`);
+      esperado = Math.max(esperado, c.end + 1);
+    }
+    if (esperado <= totalRodadas) problems.push(`${tipo}: rodadas ${esperado}–${totalRodadas} sem competição (buraco no fim)`);
+  }
+
+  return problems;
+}
+
+export function loadSeasonConfig(file = SEASON_CONFIG_FILE) {
+  let cfg;
+  try {
+    cfg = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Não consegui ler a configuração da temporada (${file}): ${e.message}`);
+  }
+  const problems = validateSeasonConfig(cfg);
+  if (problems.length) {
+    throw new Error(`Configuração da temporada inválida (${file}):\n- ${problems.join("\n- ")}`);
+  }
+  return cfg;
+}
+
+// Critérios de desempate da competição (ou os da temporada, usados também no geral e na rodada)
+export function tiebreakersFor(cfg, comp = null) {
+  return comp?.desempate ?? cfg.desempate ?? [];
+}
+
+export function getCompetition(cfg, key) {
+  return cfg.competicoes.find((c) => c.key === key) || null;
+}
+
+export function competitionsOfType(cfg, tipo) {
+  return cfg.competicoes.filter((c) => c.tipo === tipo);
+}
+
+// Competição do tipo que contém a rodada (ex.: o segmento mensal atual)
+export function pickCompetition(cfg, tipo, rodada) {
+  const list = competitionsOfType(cfg, tipo);
+  return list.find((c) => rodada >= c.start && rodada <= c.end) || list[0] || null;
+}
@@ -0,0 +1,160 @@
+// lib/confrontos.js
+// Liga de confrontos (pontos corridos): a cada rodada os times se enfrentam em duplas.
+// Quem pontua mais na rodada ganha 3 pontos; diferença dentro da margem de empate vale 1 ponto para cada.
+// A tabela de jogos (todos contra todos, repetida até o fim da temporada) é gerada uma vez e fica salva
+// em data/confrontos.json (CARTOLA_CONFRONTOS_FILE), para não mudar quando a liga ganha ou perde times.
+// Os resultados vêm do histórico local de pontos por rodada (lib/historico.js).
+import fs from "fs";
+import path from "path";
+import { getRoundPoints, roundRange } from "./historico.js";
+
+export const CONFRONTOS_FILE =
+  process.env.CARTOLA_CONFRONTOS_FILE || path.join(process.cwd(), "data", "confrontos.json");
+
+const DEFAULTS = { inicio: 1, margemEmpate: 0 };
+
+// config/temporada.json → "confrontos" (opcional): { inicio, margemEmpate }
+export function confrontosConfig(cfg) {
+  return { ...DEFAULTS, ...(cfg?.confrontos || {}) };
+}
+
+/**
+ * Tabela todos contra todos (método do círculo) de `inicio` até `fim`.
+ * Com número ímpar de times, quem enfrenta `null` folga na rodada.
+ * A cada volta completa os mandos se invertem. Devolve { [rodada]: [[a, b], ...] }.
+ */
+export function roundRobin(ids, inicio, fim) {
+  const lista = [...ids];
+  if (lista.length % 2) lista.push(null);
+  const n = lista.length;
+  const rodadas = {};
+  if (n < 2) return rodadas;
+
+  for (let r = inicio; r <= fim; r++) {
+    const idx = (r - inicio) % (n - 1);
+    const volta = Math.floor((r - inicio) / (n - 1));
+    // o primeiro fica fixo e os demais giram uma posição por rodada
+    const giro = [lista[0], ...lista.slice(1).map((_, i) => lista[1 + ((i + idx) % (n - 1))])];
+    const jogos = [];
+    for (let i = 0; i < n / 2; i++) {
+      const par = [giro[i], giro[n - 1 - i]];
+      jogos.push(volta % 2 ? par.reverse() : par);
+    }
+    rodadas[r] = jogos;
+  }
+  return rodadas;
+}
+
+function readFixture(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Tabela de jogos salva; na primeira chamada gera a partir dos times da liga e grava.
+ * `novos`: times da liga que não estão na tabela (entraram depois; apague o arquivo para refazer).
+ * `file`: onde a tabela fica salva (cada liga tem a sua, ver lib/ligas.js).
+ */
+export function loadFixture(times, cfg, file = CONFRONTOS_FILE) {
+  const ids = times.map((t) => t?.time_id).filter((id) => id != null);
+  let fixture = readFixture(file);
+  if (!fixture?.rodadas) {
+    const { inicio } = confrontosConfig(cfg);
+    const ordenados = [...ids].sort((a, b) => a - b);
+    fixture = {
+      versao: 1,
+      geradoEm: new Date().toISOString(),
+      inicio,
+      times: ordenados,
+      rodadas: roundRobin(ordenados, inicio, cfg.totalRodadas),
+    };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(fixture, null, 2), "utf8");
+    fs.renameSync(tmp, file);
+  }
+  const naTabela = new Set(fixture.times);
+  return { ...fixture, novos: ids.filter((id) => !naTabela.has(id)) };
+}
+
+/**
+ * Jogos de uma rodada com resultado (se a rodada já está no histórico).
+ * resultado: "casa" | "fora" | "empate" | null (sem pontuação) ; folga: time sem adversário.
+ */
+export function roundMatches(fixture, rodada, cfg) {
+  const { margemEmpate } = confrontosConfig(cfg);
+  return (fixture.rodadas[String(rodada)] || []).map(([casa, fora]) => {
+    if (casa == null || fora == null) return { rodada, casa: casa ?? fora, fora: null, folga: true, resultado: null };
+    const pontosCasa = getRoundPoints(casa, rodada);
+    const pontosFora = getRoundPoints(fora, rodada);
+    let resultado = null;
+    if (pontosCasa != null && pontosFora != null) {
+      const diff = pontosCasa - pontosFora;
+      resultado = Math.abs(diff) <= margemEmpate + 1e-9 ? "empate" : diff > 0 ? "casa" : "fora";
+    }
+    return { rodada, casa, fora, folga: false, pontosCasa, pontosFora, resultado };
+  });
+}
+
+/**
+ * Classificação dos confrontos até `ultimaRodada`:
+ * [{ time_id, pos, empate, pontos, jogos, vitorias, empates, derrotas, pro, contra, saldo }].
+ * Critérios: pontos, vitórias, saldo (pontos do Cartola feitos − sofridos), pontos feitos.
+ */
+export function standings(fixture, ultimaRodada, cfg) {
+  const tabela = new Map();
+  const linha = (id) => {
+    if (!tabela.has(id)) {
+      tabela.set(id, { time_id: id, pontos: 0, jogos: 0, vitorias: 0, empates: 0, derrotas: 0, pro: 0, contra: 0 });
+    }
+    return tabela.get(id);
+  };
+  fixture.times.forEach(linha);
+
+  for (const r of roundRange(fixture.inicio, ultimaRodada)) {
+    for (const m of roundMatches(fixture, r, cfg)) {
+      if (m.folga || !m.resultado) continue;
+      const casa = linha(m.casa);
+      const fora = linha(m.fora);
+      [casa, fora].forEach((l) => l.jogos++);
+      casa.pro += m.pontosCasa;
+      casa.contra += m.pontosFora;
+      fora.pro += m.pontosFora;
+      fora.contra += m.pontosCasa;
+      if (m.resultado === "empate") {
+        [casa, fora].forEach((l) => {
+          l.pontos += 1;
+          l.empates++;
+        });
+      } else {
+        const [v, d] = m.resultado === "casa" ? [casa, fora] : [fora, casa];
+        v.pontos += 3;
+        v.vitorias++;
+        d.derrotas++;
+      }
+    }
+  }
+
+  const chave = (l) => [l.pontos, l.vitorias, Math.round((l.pro - l.contra) * 100), Math.round(l.pro * 100)];
+  const cmp = (a, b) => {
+    const [ka, kb] = [chave(a), chave(b)];
+    for (let i = 0; i < ka.length; i++) if (ka[i] !== kb[i]) return kb[i] - ka[i];
+    return 0;
+  };
+  const ordenada = [...tabela.values()]
+    .map((l) => ({
+      ...l,
+      pro: Number(l.pro.toFixed(2)),
+      contra: Number(l.contra.toFixed(2)),
+      saldo: Number((l.pro - l.contra).toFixed(2)),
+    }))
+    .sort(cmp);
+
+  // empatados em todos os critérios dividem a posição
+  const out = [];
+  ordenada.forEach((l, i) => out.push({ ...l, pos: i && !cmp(l, ordenada[i - 1]) ? out[i - 1].pos : i + 1 }));
+  return out.map((l) => ({ ...l, empate: out.filter((o) => o.pos === l.pos).length > 1 }));
+}
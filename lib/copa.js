@@ -0,0 +1,217 @@
+// lib/copa.js
+// Copa mata-mata (config/temporada.json → "copa"):
+//   - os cabeças de chave saem da classificação geral ao fim da rodada `sorteioRodada` (TOP `participantes`,
+//     com as rodadas de cada time contadas a partir do "inicio" dele, como no /geral);
+//   - cada fase é decidida pela soma dos pontos dos dois times em 1 ou 2 rodadas (`fases`);
+//   - empate na soma: `desempate` ("seed" = melhor cabeça de chave, "melhorRodada" = maior pontuação
+//     numa rodada do confronto, "geral" = melhor pontuação geral até a última rodada do confronto).
+// O chaveamento avança sozinho conforme as rodadas entram no histórico (lib/historico.js).
+// Os cabeças de chave ficam salvos em data/copa.json (CARTOLA_COPA_FILE) depois do sorteio.
+import fs from "fs";
+import path from "path";
+import { getRoundPoints, roundRange, sumRounds } from "./historico.js";
+import { tiebreakersFor } from "./competicoes.js";
+import { startRound } from "./elegibilidade.js";
+import { rankBySum } from "./ranking.js";
+
+export const COPA_FILE = process.env.CARTOLA_COPA_FILE || path.join(process.cwd(), "data", "copa.json");
+
+export const COPA_TIEBREAKERS = {
+  seed: "melhor cabeça de chave",
+  melhorRodada: "maior pontuação numa rodada do confronto",
+  geral: "melhor pontuação geral",
+};
+
+const PHASE_NAMES = { 2: "Final", 4: "Semifinal", 8: "Quartas de final", 16: "Oitavas de final" };
+
+const isPowerOfTwo = (n) => Number.isInteger(n) && n >= 2 && (n & (n - 1)) === 0;
+
+/**
+ * Valida config.copa. Devolve a lista de problemas (vazia se ok ou se não houver copa).
+ */
+export function validateCopaConfig(copa, totalRodadas) {
+  if (copa == null) return [];
+  const problems = [];
+  if (!isPowerOfTwo(copa.participantes)) problems.push("copa: participantes deve ser potência de 2 (4, 8, 16, ...)");
+  if (!Number.isInteger(copa.sorteioRodada) || copa.sorteioRodada < 1 || copa.sorteioRodada >= totalRodadas) {
+    problems.push(`copa: sorteioRodada deve ser uma rodada entre 1 e ${totalRodadas - 1}`);
+  }
+  if (copa.desempate != null && !COPA_TIEBREAKERS[copa.desempate]) {
+    problems.push(`copa: desempate desconhecido "${copa.desempate}" (use ${Object.keys(COPA_TIEBREAKERS).join(", ")})`);
+  }
+  if (!Array.isArray(copa.fases)) return [...problems, "copa: fases deve ser uma lista de rodadas por fase (ex.: [[11], [12, 13]])"];
+
+  if (isPowerOfTwo(copa.participantes) && copa.fases.length !== Math.log2(copa.participantes)) {
+    problems.push(`copa: ${copa.participantes} participantes precisam de ${Math.log2(copa.participantes)} fases`);
+  }
+  let ultima = copa.sorteioRodada;
+  copa.fases.forEach((rodadas, i) => {
+    const ok =
+      Array.isArray(rodadas) &&
+      (rodadas.length === 1 || rodadas.length === 2) &&
+      rodadas.every((r) => Number.isInteger(r) && r <= totalRodadas);
+    if (!ok) return problems.push(`copa: fase ${i + 1} deve ter 1 ou 2 rodadas da temporada`);
+    if (rodadas[0] <= ultima || (rodadas[1] != null && rodadas[1] <= rodadas[0])) {
+      problems.push(`copa: rodadas da fase ${i + 1} devem vir depois do sorteio e da fase anterior, em ordem`);
+    }
+    ultima = rodadas[rodadas.length - 1];
+  });
+  return problems;
+}
+
+// Ordem dos cabeças de chave no chaveamento: 1 e 2 só se encontram na final ([1, 8, 4, 5, 2, 7, 3, 6] para 8)
+function bracketOrder(n) {
+  let order = [1];
+  while (order.length < n) {
+    const size = order.length * 2;
+    order = order.flatMap((s) => [s, size + 1 - s]);
+  }
+  return order;
+}
+
+function readSeeds(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Empate que nenhum critério da temporada desfez: ordem alfabética do nome e depois time_id,
+// para o corte do TOP `participantes` e a numeração não dependerem da ordem de chegada dos times
+function seedOrder(ranked) {
+  return [...ranked].sort(
+    (a, b) => a.pos - b.pos || String(a.time ?? "").localeCompare(String(b.time ?? ""), "pt-BR") || a.time_id - b.time_id
+  );
+}
+
+// Cada problema do sorteio vai para o log uma vez só por processo (o /copa e o generate.js chamam toda hora)
+const reported = new Set();
+
+function reportOnce(problema, file) {
+  const key = `${file}:${problema}`;
+  if (reported.has(key)) return;
+  reported.add(key);
+  console.warn(`AVISO: copa sem sorteio: ${problema}`);
+}
+
+/**
+ * Cabeças de chave: salvos em data/copa.json; calculados (e gravados) quando a rodada do sorteio
+ * já foi pontuada. { seeds } (null enquanto o sorteio não aconteceu) ou { seeds: null, problema }
+ * quando a rodada do sorteio já passou e não há times com pontos suficientes para a copa.
+ */
+function loadSeeds(times, cfg, ultimaRodada, file) {
+  const { sorteioRodada, participantes } = cfg.copa;
+  const saved = readSeeds(file);
+  if (saved?.sorteioRodada === sorteioRodada && saved?.participantes === participantes) return { seeds: saved.seeds };
+  if (ultimaRodada < sorteioRodada) return { seeds: null };
+
+  // como na classificação geral: cada time soma só as rodadas a partir do seu "inicio" (lib/elegibilidade.js)
+  const rodadas = roundRange(1, sorteioRodada);
+  const ranked = seedOrder(rankBySum(times, rodadas, { desempate: tiebreakersFor(cfg), inicio: startRound(cfg) }));
+  if (ranked.length < participantes) {
+    const problema =
+      `só ${ranked.length} time(s) com pontos até a rodada ${sorteioRodada} ` +
+      `para ${participantes} vagas (ajuste config/temporada.json → "copa" → "participantes")`;
+    reportOnce(problema, file);
+    return { seeds: null, problema };
+  }
+  const seeds = ranked.slice(0, participantes).map((e, i) => ({ seed: i + 1, time_id: e.time_id, time: e.time }));
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ versao: 1, sorteioRodada, participantes, seeds }, null, 2), "utf8");
+  fs.renameSync(tmp, file);
+  return { seeds };
+}
+
+// Desempate do confronto: devolve o lado que passa
+function breakCupTie(a, b, rodadas, criterio) {
+  if (criterio === "melhorRodada") {
+    const best = (t) => Math.max(...rodadas.map((r) => getRoundPoints(t.time_id, r) ?? -Infinity));
+    if (best(a) !== best(b)) return best(a) > best(b) ? a : b;
+  } else if (criterio === "geral") {
+    const total = (t) => sumRounds(t.time_id, roundRange(1, rodadas[rodadas.length - 1])).total ?? -Infinity;
+    if (total(a) !== total(b)) return total(a) > total(b) ? a : b;
+  }
+  // "seed" (e último recurso dos outros critérios)
+  return a.seed < b.seed ? a : b;
+}
+
+// Um confronto: soma das rodadas já pontuadas; decidido quando todas as rodadas têm pontos dos dois
+function playTie(a, b, rodadas, ultimaRodada, criterio) {
+  const jogo = { a, b, rodadas, pontosA: null, pontosB: null, vencedor: null, desempate: null, status: "aguardando" };
+  if (!a || !b) return jogo;
+
+  const jogadas = rodadas.filter((r) => r <= ultimaRodada);
+  const pontos = (t) => jogadas.map((r) => getRoundPoints(t.time_id, r));
+  const [pa, pb] = [pontos(a), pontos(b)];
+  if (!jogadas.length) return jogo;
+  if ([...pa, ...pb].some((p) => p == null)) return { ...jogo, status: "em disputa" };
+
+  const soma = (list) => Number(list.reduce((s, p) => s + p, 0).toFixed(2));
+  Object.assign(jogo, { pontosA: soma(pa), pontosB: soma(pb), status: "em disputa" });
+  if (jogadas.length < rodadas.length) return jogo;
+
+  jogo.status = "decidido";
+  if (jogo.pontosA !== jogo.pontosB) jogo.vencedor = jogo.pontosA > jogo.pontosB ? a : b;
+  else {
+    jogo.vencedor = breakCupTie(a, b, rodadas, criterio);
+    jogo.desempate = COPA_TIEBREAKERS[criterio];
+  }
+  return jogo;
+}
+
+/**
+ * Estado atual da copa até `ultimaRodada`. null se a temporada não tem copa configurada.
+ * { nome, sorteioRodada, participantes, sorteado, problema, fases: [{ nome, rodadas, jogos }], campeao }
+ * Cada jogo: { a, b, rodadas, pontosA, pontosB, vencedor, desempate, status } (a/b: { seed, time_id, time }).
+ * `problema`: por que o sorteio não saiu depois da rodada do sorteio (null se não há problema).
+ * `file`: onde os cabeças de chave ficam salvos (cada liga tem o seu, ver lib/ligas.js).
+ */
+export function cupBracket(times, cfg, ultimaRodada, { file = COPA_FILE } = {}) {
+  const copa = cfg.copa;
+  if (!copa) return null;
+  const criterio = copa.desempate || "seed";
+  const { seeds, problema = null } = loadSeeds(times, cfg, ultimaRodada, file);
+  const base = { nome: copa.nome || "Copa", sorteioRodada: copa.sorteioRodada, participantes: copa.participantes, problema };
+  if (!seeds) return { ...base, sorteado: false, fases: [], campeao: null };
+
+  const bySeed = new Map(seeds.map((s) => [s.seed, s]));
+  let vivos = bracketOrder(copa.participantes).map((s) => bySeed.get(s));
+  const fases = copa.fases.map((rodadas) => {
+    const jogos = [];
+    for (let i = 0; i < vivos.length; i += 2) jogos.push(playTie(vivos[i], vivos[i + 1], rodadas, ultimaRodada, criterio));
+    const fase = { nome: PHASE_NAMES[vivos.length] || `Fase de ${vivos.length}`, rodadas, jogos };
+    vivos = jogos.map((j) => j.vencedor);
+    return fase;
+  });
+
+  return { ...base, sorteado: true, fases, campeao: vivos.length === 1 ? vivos[0] : null };
+}
+
+/**
+ * Dados do templates/copa.txt (servidor e generate.js). `fmt` formata os pontos.
+ */
+export function cupTemplateData(bracket, fmt) {
+  const nome = (t) => (t ? `(${t.seed}) ${t.time}` : "a definir");
+  return {
+    copa: bracket,
+    aguardandoSorteio: !bracket.sorteado && !bracket.problema,
+    problema: bracket.problema,
+    campeao: bracket.campeao ? nome(bracket.campeao) : null,
+    fases: bracket.fases.map((f) => ({
+      nome: f.nome,
+      rodadasTexto: f.rodadas.length === 1 ? `rodada ${f.rodadas[0]}` : `rodadas ${f.rodadas.join(" e ")}`,
+      jogos: f.jogos.map((j) => ({
+        a: nome(j.a),
+        b: nome(j.b),
+        placar: j.pontosA != null ? `${fmt(j.pontosA)} x ${fmt(j.pontosB)}` : "x",
+        decidido: j.status === "decidido",
+        emDisputa: j.status === "em disputa",
+        vencedor: j.vencedor ? nome(j.vencedor) : null,
+        desempate: j.desempate,
+      })),
+    })),
+  };
+}
@@ -0,0 +1,108 @@
+// lib/elegibilidade.js
+// Regras por time (config/temporada.json → "elegibilidade", chave = time_id):
+//   "elegibilidade": {
+//     "12345": { "inicio": 10 },         // entrou na rodada 10: só contam as rodadas dali em diante
+//     "23456": { "premiavel": false },   // aparece nos rankings, mas não leva prêmio (ex.: time de teste)
+//     "34567": { "oculto": true },       // some de todas as mensagens
+//     "45678": { "pago": false }         // inscrição pendente: sem prêmio enquanto não pagar
+//   }
+// Quem não pode levar prêmio continua no ranking, marcado no texto, e as posições premiadas
+// passam para o próximo time que pode. O bolo (lib/premios.js) conta só quem concorre.
+// Quem pagou vem de um lugar só: com config.premiacao.pagantes preenchido, é a lista (e "pago" aqui
+// é recusado na validação); com a lista vazia, todo mundo conta como pago menos quem tem "pago": false.
+
+const DEFAULTS = { inicio: 1, premiavel: true, oculto: false, pago: true };
+const FLAGS = ["premiavel", "oculto", "pago"];
+
+/**
+ * Valida config.elegibilidade. Devolve a lista de problemas (vazia se ok ou se não houver regras).
+ * `pagantes`: config.premiacao.pagantes (preenchido, "pago" não pode aparecer nas regras).
+ */
+export function validateEligibilityConfig(e, totalRodadas, pagantes = []) {
+  if (e == null) return [];
+  if (typeof e !== "object" || Array.isArray(e)) return ["elegibilidade: deve ser um objeto { \"time_id\": { regras } }"];
+  const problems = [];
+  for (const [id, regras] of Object.entries(e)) {
+    if (!/^\d+$/.test(id)) problems.push(`elegibilidade: chave "${id}" deve ser um time_id`);
+    if (!regras || typeof regras !== "object") {
+      problems.push(`elegibilidade.${id}: regras devem ser um objeto`);
+      continue;
+    }
+    if (regras.inicio != null && (!Number.isInteger(regras.inicio) || regras.inicio < 1 || regras.inicio > totalRodadas)) {
+      problems.push(`elegibilidade.${id}: inicio deve ser uma rodada entre 1 e ${totalRodadas}`);
+    }
+    FLAGS.filter((f) => regras[f] != null && typeof regras[f] !== "boolean").forEach((f) =>
+      problems.push(`elegibilidade.${id}: ${f} deve ser true ou false`)
+    );
+    if (regras.pago != null && Array.isArray(pagantes) && pagantes.length) {
+      problems.push(`elegibilidade.${id}: "pago" não vale com premiacao.pagantes preenchido (quem pagou é a lista)`);
+    }
+  }
+  return problems;
+}
+
+export function eligibilityOf(cfg, timeId) {
+  const e = { ...DEFAULTS, ...(cfg?.elegibilidade?.[String(timeId)] || {}) };
+  const pagantes = cfg?.premiacao?.pagantes;
+  return pagantes?.length ? { ...e, pago: pagantes.includes(Number(timeId)) } : e;
+}
+
+// Times que aparecem nas mensagens (sem os ocultos)
+export function visibleTeams(cfg, times) {
+  return times.filter((t) => !eligibilityOf(cfg, t?.time_id).oculto);
+}
+
+// Primeira rodada que conta para cada time: (time_id) => rodada (opção `inicio` de lib/ranking.js)
+export function startRound(cfg) {
+  return (timeId) => eligibilityOf(cfg, timeId).inicio;
+}
+
+export function canWinPrizes(cfg, timeId) {
+  const e = eligibilityOf(cfg, timeId);
+  return e.premiavel && e.pago;
+}
+
+// Marca do time nos rankings ("" se não há nada a dizer)
+export function eligibilityNote(cfg, timeId) {
+  const e = eligibilityOf(cfg, timeId);
+  return [
+    !e.premiavel && "fora da premiação",
+    e.premiavel && !e.pago && "inscrição pendente",
+    e.inicio > 1 && `conta a partir da rodada ${e.inicio}`,
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Ranking ({ time_id, pos, ... }) com { elegivel, posPremio, elegibilidade }: `posPremio` é a posição
+ * entre quem pode levar prêmio (empatados dividem; null para quem não pode).
+ */
+export function withEligibility(cfg, ranked) {
+  let elegiveis = 0;
+  let posAnterior = null;
+  let posPremio = null;
+  return ranked.map((r) => {
+    const elegivel = canWinPrizes(cfg, r.time_id);
+    if (elegivel) {
+      elegiveis++;
+      if (r.pos !== posAnterior) posPremio = elegiveis;
+      posAnterior = r.pos;
+    }
+    return { ...r, elegivel, posPremio: elegivel ? posPremio : null, elegibilidade: eligibilityNote(cfg, r.time_id) || null };
+  });
+}
+
+/**
+ * Ranking da premiação: só quem pode levar prêmio, com `pos` = posição na premiação
+ * (`posLiga`: a do ranking completo). Com `n`, só o TOP n (empatados na posição n entram juntos).
+ */
+export function prizeRanking(cfg, ranked, n = Infinity) {
+  const lista = withEligibility(cfg, ranked).filter((r) => r.elegivel && r.posPremio <= n);
+  return lista.map((r) => ({
+    ...r,
+    posLiga: r.pos,
+    pos: r.posPremio,
+    empate: lista.filter((o) => o.posPremio === r.posPremio).length > 1,
+  }));
+}
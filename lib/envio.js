@@ -0,0 +1,219 @@
+// lib/envio.js
+// Envio das mensagens prontas direto para os grupos (config/temporada.json → "envio"):
+//   "envio": {
+//     "destinos": {
+//       "grupo": { "tipo": "telegram", "chatId": "-1001234567890" },
+//       "discord": { "tipo": "discord", "urlEnv": "CARTOLA_DISCORD_WEBHOOK" },
+//       "planilha": { "tipo": "webhook", "url": "https://exemplo.com/cartola", "formato": "plain" }
+//     },
+//     "mensagens": { "rodada": ["grupo", "discord"], "geral": ["grupo"], "mensal": ["grupo", "planilha"] }
+//   }
+// Segredos ficam no env: token do bot em CARTOLA_TELEGRAM_TOKEN (ou o env de "tokenEnv") e URLs de
+// webhook em "urlEnv". CARTOLA_TELEGRAM_API troca a base da Bot API (para testar contra um stub local)
+// e CARTOLA_DELIVERY_DRY_RUN=1 monta tudo sem enviar nada.
+// No Telegram, "formato" pode ser telegram (padrão, MarkdownV2), html (parse_mode HTML) ou plain (texto puro).
+// Falhas de rede, 5xx e 429 são tentadas de novo; cada envio fica registrado em data/envios.json
+// (CARTOLA_DELIVERY_LOG_FILE).
+import fs from "fs";
+import path from "path";
+import { SCHEDULER_ACTIONS } from "./agendador.js";
+import { isFormat } from "./render.js";
+
+export const DELIVERY_LOG_FILE =
+  process.env.CARTOLA_DELIVERY_LOG_FILE || path.join(process.cwd(), "data", "envios.json");
+
+const TELEGRAM_API = (process.env.CARTOLA_TELEGRAM_API || "https://api.telegram.org").replace(/\/+$/, "");
+export const DRY_RUN = ["1", "true"].includes(String(process.env.CARTOLA_DELIVERY_DRY_RUN || "").toLowerCase());
+
+// tipo de destino -> formato padrão da mensagem (lib/render.js)
+export const DELIVERY_TYPES = { telegram: "telegram", discord: "discord", webhook: "plain" };
+
+// formatos aceitos no Telegram -> parse_mode da Bot API (plain vai sem parse_mode, como texto puro)
+const TELEGRAM_PARSE_MODES = { telegram: "MarkdownV2", html: "HTML", plain: null };
+const TELEGRAM_LIMIT = 4096;
+
+const ATTEMPTS = 3;
+const BACKOFF_MS = 1000;
+// espera máxima pedida por um 429 (retry_after) antes de desistir da tentativa
+const MAX_WAIT_MS = 30 * 1000;
+const MAX_LOG = 200;
+
+/**
+ * Valida config.envio. Devolve a lista de problemas (vazia se ok ou se não houver envio).
+ */
+export function validateDeliveryConfig(envio) {
+  if (envio == null) return [];
+  const problems = [];
+  const destinos = envio.destinos && typeof envio.destinos === "object" ? envio.destinos : {};
+  for (const [nome, d] of Object.entries(destinos)) {
+    if (!DELIVERY_TYPES[d?.tipo]) {
+      problems.push(`envio: destino ${nome} com tipo desconhecido "${d?.tipo}" (use ${Object.keys(DELIVERY_TYPES).join(", ")})`);
+      continue;
+    }
+    if (d.tipo === "telegram" && !d.chatId) problems.push(`envio: destino ${nome} precisa de chatId`);
+    if (d.tipo !== "telegram" && !d.url && !d.urlEnv) problems.push(`envio: destino ${nome} precisa de url ou urlEnv`);
+    if (d.formato != null && !isFormat(d.formato)) problems.push(`envio: destino ${nome} com formato desconhecido "${d.formato}"`);
+    else if (d.tipo === "telegram" && d.formato != null && !(d.formato in TELEGRAM_PARSE_MODES)) {
+      problems.push(`envio: destino ${nome} (telegram) aceita formato ${Object.keys(TELEGRAM_PARSE_MODES).join(", ")}`);
+    }
+  }
+  for (const [tipo, lista] of Object.entries(envio.mensagens || {})) {
+    if (!SCHEDULER_ACTIONS.includes(tipo)) {
+      problems.push(`envio: mensagem desconhecida "${tipo}" (use ${SCHEDULER_ACTIONS.join(", ")})`);
+    } else if (!Array.isArray(lista)) {
+      problems.push(`envio: mensagens.${tipo} deve ser uma lista de destinos`);
+    } else {
+      lista.filter((n) => !destinos[n]).forEach((n) => problems.push(`envio: mensagens.${tipo} usa destino inexistente "${n}"`));
+    }
+  }
+  return problems;
+}
+
+/**
+ * Destinos de um tipo de mensagem: [{ nome, tipo, formato, ... }] ([] se não houver envio configurado).
+ */
+export function destinationsFor(cfg, tipo) {
+  const envio = cfg?.envio;
+  return (envio?.mensagens?.[tipo] || []).map((nome) => {
+    const d = envio.destinos[nome];
+    return { ...d, nome, formato: d.formato || DELIVERY_TYPES[d.tipo] };
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function deliveryError(message, { status = null, retry = false, waitMs = null } = {}) {
+  const err = new Error(message);
+  Object.assign(err, { status, retry, waitMs });
+  return err;
+}
+
+function secret(d, campo, envPadrao) {
+  const env = d[`${campo}Env`] || envPadrao;
+  const value = d[campo] || (env ? process.env[env] : "");
+  if (!value) throw deliveryError(`destino ${d.nome}: ${env || campo} não configurado`);
+  return value;
+}
+
+async function postJson(url, body) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(20000),
+    });
+  } catch (e) {
+    throw deliveryError(`falha de rede: ${e?.cause?.code || e?.message}`, { retry: true });
+  }
+  if (res.ok) return;
+
+  const text = await res.text();
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    // resposta sem JSON
+  }
+  // Telegram: parameters.retry_after; Discord: retry_after (segundos)
+  const retryAfter = data?.parameters?.retry_after ?? data?.retry_after ?? Number(res.headers.get("retry-after"));
+  throw deliveryError(`HTTP ${res.status}: ${text.slice(0, 200)}`, {
+    status: res.status,
+    retry: res.status === 429 || res.status >= 500,
+    waitMs: Number(retryAfter) > 0 ? Number(retryAfter) * 1000 : null,
+  });
+}
+
+// Quebra um texto em partes de até `limit` caracteres, entre linhas (plain e html não têm limite no
+// lib/render.js, mas o Telegram tem); uma linha gigante é cortada no meio
+function splitLines(text, limit) {
+  if (text.length <= limit) return [text];
+  const out = [];
+  let cur = "";
+  for (let l of text.split("\n")) {
+    while (l.length > limit) {
+      if (cur) out.push(cur);
+      cur = "";
+      out.push(l.slice(0, limit));
+      l = l.slice(limit);
+    }
+    const next = cur ? `${cur}\n${l}` : l;
+    if (next.length > limit) {
+      out.push(cur);
+      cur = l;
+    } else cur = next;
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+// Requisições de um destino (uma por parte da mensagem; o webhook recebe tudo de uma vez)
+function requestsFor(d, mensagem) {
+  if (d.tipo === "telegram") {
+    const url = `${TELEGRAM_API}/bot${secret(d, "token", "CARTOLA_TELEGRAM_TOKEN")}/sendMessage`;
+    const parseMode = TELEGRAM_PARSE_MODES[d.formato];
+    // o HTML do Telegram não tem <br>: a quebra de linha é o próprio \n
+    const partes = d.formato === "html" ? mensagem.mensagens.map((t) => t.replace(/<br>\n?/g, "\n")) : mensagem.mensagens;
+    return partes
+      .flatMap((t) => splitLines(t, TELEGRAM_LIMIT))
+      .map((text) => ({
+        url,
+        body: { chat_id: d.chatId, text, ...(parseMode && { parse_mode: parseMode }), disable_web_page_preview: true },
+      }));
+  }
+  const url = secret(d, "url", null);
+  if (d.tipo === "discord") return mensagem.mensagens.map((content) => ({ url, body: { content } }));
+  return [{ url, body: mensagem }];
+}
+
+/**
+ * Envia uma mensagem ({ liga, tipo, format, texto, mensagens }) para um destino, com novas tentativas.
+ * Cada parte tem até ATTEMPTS tentativas; se uma falha de vez, as que já foram não são reenviadas.
+ * Nunca lança: devolve { destino, tipoDestino, ok, partes, enviadas, tentativas, erro, dryRun }.
+ */
+export async function deliver(d, mensagem, { dryRun = DRY_RUN } = {}) {
+  const out = { destino: d.nome, tipoDestino: d.tipo, ok: false, partes: 0, enviadas: 0, tentativas: 0, erro: null, dryRun };
+  let requests;
+  try {
+    requests = requestsFor(d, mensagem);
+  } catch (err) {
+    return { ...out, erro: err.message };
+  }
+  out.partes = requests.length;
+  if (dryRun) return { ...out, ok: true, previa: requests.map((r) => r.body) };
+
+  let tentativa = 1; // da parte atual
+  while (out.enviadas < requests.length) {
+    out.tentativas++;
+    try {
+      await postJson(requests[out.enviadas].url, requests[out.enviadas].body);
+      out.enviadas++;
+      tentativa = 1;
+    } catch (err) {
+      const espera = err.waitMs ?? BACKOFF_MS * 2 ** (tentativa - 1);
+      if (!err.retry || tentativa >= ATTEMPTS || espera > MAX_WAIT_MS) return { ...out, erro: err.message };
+      tentativa++;
+      await sleep(espera);
+    }
+  }
+  return { ...out, ok: true };
+}
+
+export function loadDeliveryLog(file = DELIVERY_LOG_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    return [];
+  }
+}
+
+// Registra envios (os mais antigos saem do arquivo)
+export function appendDeliveryLog(entries, file = DELIVERY_LOG_FILE) {
+  if (!entries.length) return;
+  const log = [...loadDeliveryLog(file), ...entries].slice(-MAX_LOG);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(log, null, 2), "utf8");
+  fs.renameSync(tmp, file);
+}
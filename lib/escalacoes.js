@@ -0,0 +1,204 @@
+// lib/escalacoes.js
+// Escalações da liga numa rodada pontuada: atletas e capitães mais escalados, "diferenciais"
+// (atleta que só um time escalou) e o esquema tático de cada time.
+// Escalação não muda depois que a rodada fecha: cada time é buscado uma vez por rodada
+// (/time/id/{id}/{rodada}) e fica salvo em data/escalacoes.json (CARTOLA_LINEUPS_FILE),
+// só com os campos usados aqui.
+import fs from "fs";
+import path from "path";
+
+export const LINEUPS_FILE = process.env.CARTOLA_LINEUPS_FILE || path.join(process.cwd(), "data", "escalacoes.json");
+
+// esquema_id -> formação (/esquemas do Cartola)
+const FORMATIONS = { 1: "3-4-3", 2: "3-5-2", 3: "4-3-3", 4: "4-4-2", 5: "4-5-1", 6: "5-3-2", 7: "5-4-1" };
+const POSITIONS = { 1: "GOL", 2: "LAT", 3: "ZAG", 4: "MEI", 5: "ATA", 6: "TEC" };
+
+let cache = null;
+
+function emptyLineups() {
+  return { versao: 1, atualizadoEm: null, clubes: {}, rodadas: {} };
+}
+
+export function loadLineups() {
+  if (cache) return cache;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(LINEUPS_FILE, "utf8"));
+    cache = parsed && typeof parsed.rodadas === "object" ? { clubes: {}, ...parsed } : emptyLineups();
+  } catch (e) {
+    cache = emptyLineups();
+  }
+  return cache;
+}
+
+export function saveLineups() {
+  const data = loadLineups();
+  data.atualizadoEm = new Date().toISOString();
+  fs.mkdirSync(path.dirname(LINEUPS_FILE), { recursive: true });
+  const tmp = `${LINEUPS_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data), "utf8");
+  fs.renameSync(tmp, LINEUPS_FILE);
+}
+
+// Escalação salva ({ esquema_id, capitao_id, atletas }) ou null se ainda não foi buscada
+export function getLineup(timeId, rodada) {
+  return loadLineups().rodadas[String(rodada)]?.[String(timeId)] || null;
+}
+
+// Só o que as estatísticas usam (`pontos`: pontuação do atleta na rodada, sem o multiplicador do capitão)
+function compactLineup(data) {
+  const atletas = Array.isArray(data?.atletas) ? data.atletas : [];
+  return {
+    esquema_id: data?.esquema_id ?? null,
+    capitao_id: data?.capitao_id ?? null,
+    atletas: atletas
+      .filter((a) => a?.atleta_id != null)
+      .map((a) => ({
+        atleta_id: a.atleta_id,
+        apelido: a.apelido || String(a.atleta_id),
+        posicao_id: a.posicao_id ?? null,
+        clube_id: a.clube_id ?? null,
+        pontos: a.pontos_num ?? null,
+      })),
+  };
+}
+
+/**
+ * Guarda a escalação de uma resposta de /time/id/{id}/{rodada} de rodada já pontuada, inclusive quando
+ * ela vem de outra busca (os pontos do histórico): ensureLineups não pede o mesmo time de novo.
+ * Sem atletas (não escalou) fica guardada vazia. Devolve true se guardou algo novo (chame saveLineups depois).
+ */
+export function storeLineup(timeId, rodada, resp) {
+  if (timeId == null || !resp || typeof resp !== "object") return false;
+  const data = loadLineups();
+  const daRodada = (data.rodadas[String(rodada)] = data.rodadas[String(rodada)] || {});
+  if (daRodada[String(timeId)]) return false;
+  daRodada[String(timeId)] = compactLineup(resp);
+  for (const [id, c] of Object.entries(resp?.clubes || {})) {
+    if (c?.abreviacao) data.clubes[id] = c.abreviacao;
+  }
+  return true;
+}
+
+/**
+ * Garante as escalações de uma rodada (já pontuada) para todos os times, buscando só as que faltam.
+ * `fetchLineup(timeId, rodada)` devolve a resposta de /time/id/{id}/{rodada}.
+ * Falha em um time não derruba os demais: ele fica sem escalação e é buscado de novo na próxima vez.
+ */
+export async function ensureLineups(times, rodada, fetchLineup) {
+  const data = loadLineups();
+  const daRodada = (data.rodadas[String(rodada)] = data.rodadas[String(rodada)] || {});
+  let fetched = 0;
+  const failures = [];
+
+  for (const t of times) {
+    const timeId = t?.time_id;
+    if (timeId == null || daRodada[String(timeId)]) continue;
+    try {
+      const resp = await fetchLineup(timeId, rodada);
+      storeLineup(timeId, rodada, resp);
+      fetched++;
+    } catch (e) {
+      failures.push({ time_id: timeId, error: e?.message });
+    }
+  }
+
+  if (fetched) saveLineups();
+  return { fetched, failures };
+}
+
+// Formação pelo esquema_id; sem ele, conta defensores-meias-atacantes da escalação
+function formationOf(lineup) {
+  if (FORMATIONS[lineup.esquema_id]) return FORMATIONS[lineup.esquema_id];
+  const count = (...ids) => lineup.atletas.filter((a) => ids.includes(a.posicao_id)).length;
+  const linhas = [count(2, 3), count(4), count(5)];
+  return linhas.some(Boolean) ? linhas.join("-") : "?";
+}
+
+const byPoints = (a, b) => (b.pontos ?? -Infinity) - (a.pontos ?? -Infinity) || a.apelido.localeCompare(b.apelido, "pt-BR");
+
+/**
+ * Estatísticas das escalações salvas da rodada (chame ensureLineups antes):
+ * { rodada, escalados, semEscalacao: [time], maisEscalados, capitaes, diferenciais, esquemas, porEsquema }.
+ * Atletas: { atleta_id, apelido, posicao, clube, pontos, vezes, capitaes, pct }; `pct` sobre os times escalados.
+ * `top`: quantos atletas/capitães listar.
+ */
+export function lineupStats(times, rodada, { top = 10 } = {}) {
+  const { clubes } = loadLineups();
+  const nome = (t) => ({ time_id: t?.time_id, time: t?.nome?.trim(), cartoleiro: t?.nome_cartola?.trim() });
+
+  const escalados = [];
+  const semEscalacao = [];
+  for (const t of times) {
+    const lineup = getLineup(t?.time_id, rodada);
+    if (lineup?.atletas.length) escalados.push({ ...nome(t), lineup });
+    else semEscalacao.push(nome(t).time);
+  }
+
+  const atletas = new Map();
+  for (const e of escalados) {
+    for (const a of e.lineup.atletas) {
+      if (!atletas.has(a.atleta_id)) {
+        atletas.set(a.atleta_id, {
+          atleta_id: a.atleta_id,
+          apelido: a.apelido,
+          posicao: POSITIONS[a.posicao_id] || null,
+          clube: clubes[String(a.clube_id)] || null,
+          pontos: a.pontos,
+          vezes: 0,
+          capitaes: 0,
+          times: [],
+        });
+      }
+      const x = atletas.get(a.atleta_id);
+      x.vezes++;
+      if (a.atleta_id === e.lineup.capitao_id) x.capitaes++;
+      x.times.push({ time_id: e.time_id, time: e.time, cartoleiro: e.cartoleiro });
+    }
+  }
+
+  const pct = (n) => (escalados.length ? Math.round((n * 100) / escalados.length) : 0);
+  const lista = [...atletas.values()].map(({ times: quem, ...a }) => ({ ...a, pct: pct(a.vezes), quem }));
+  const resumo = ({ quem, ...a }) => a;
+
+  const maisEscalados = lista
+    .sort((a, b) => b.vezes - a.vezes || byPoints(a, b))
+    .slice(0, top)
+    .map(resumo);
+  const capitaes = lista
+    .filter((a) => a.capitaes)
+    .sort((a, b) => b.capitaes - a.capitaes || byPoints(a, b))
+    .slice(0, top)
+    .map((a) => ({ ...resumo(a), pct: pct(a.capitaes) }));
+  // com um time só, todo atleta seria "diferencial"
+  const diferenciais =
+    escalados.length > 1
+      ? lista
+          .filter((a) => a.vezes === 1)
+          .sort(byPoints)
+          .map(({ quem, ...a }) => ({ ...a, ...quem[0] }))
+      : [];
+
+  const esquemas = escalados.map((e) => ({ time_id: e.time_id, time: e.time, cartoleiro: e.cartoleiro, esquema: formationOf(e.lineup) }));
+  const contagem = new Map();
+  esquemas.forEach((e) => contagem.set(e.esquema, (contagem.get(e.esquema) || 0) + 1));
+  const porEsquema = [...contagem.entries()]
+    .map(([esquema, vezes]) => ({ esquema, vezes, pct: pct(vezes) }))
+    .sort((a, b) => b.vezes - a.vezes || a.esquema.localeCompare(b.esquema));
+
+  return { rodada, escalados: escalados.length, semEscalacao, maisEscalados, capitaes, diferenciais, esquemas, porEsquema };
+}
+
+/**
+ * Dados do templates/escalacoes.txt (servidor e generate.js). `fmt` formata os pontos.
+ */
+export function lineupTemplateData(stats, fmt) {
+  const atleta = (a) => ({ ...a, pontos: fmt(a.pontos), detalhe: [a.posicao, a.clube].filter(Boolean).join(" · ") });
+  return {
+    ...stats,
+    semEscalacoes: !stats.escalados,
+    maisEscalados: stats.maisEscalados.map(atleta),
+    capitaes: stats.capitaes.map(atleta),
+    diferenciais: stats.diferenciais.map(atleta),
+    semEscalacao: stats.semEscalacao.length ? stats.semEscalacao.join(", ") : null,
+  };
+}
@@ -0,0 +1,60 @@
+// lib/fixtures.js
+// Modo offline da API do Cartola (CARTOLA_API_MODE):
+//   live   (padrão) — chama a API de verdade (base em CARTOLA_API_URL);
+//   record — chama a API e grava cada resposta como fixture;
+//   replay — não chama nada: responde com as fixtures gravadas (404 se faltar alguma).
+// Uma fixture é o JSON da resposta em <CARTOLA_FIXTURES_DIR>/<caminho>[@<query>].json, por exemplo
+// mercado/status.json e auth/liga/minha-liga@orderBy=campeonato&page=1.json.
+// Com CARTOLA_FIXTURES_SCENARIO a pasta do cenário (<dir>/<cenario>/) vem antes da pasta base:
+// a temporada de exemplo (fixtures/amostra) guarda as rodadas na base e o que muda com o mercado
+// em aberto/, fechado/ e pontuada/. Ex.: CARTOLA_API_MODE=replay CARTOLA_FIXTURES_SCENARIO=fechado npm start
+import fs from "fs";
+import path from "path";
+
+export const API_MODES = ["live", "record", "replay"];
+export const API_MODE = (process.env.CARTOLA_API_MODE || "live").toLowerCase();
+if (!API_MODES.includes(API_MODE)) {
+  throw new Error(`CARTOLA_API_MODE desconhecido: ${API_MODE}. Use: ${API_MODES.join(", ")}`);
+}
+
+export const CARTOLA_API = (process.env.CARTOLA_API_URL || "https://api.cartola.globo.com").replace(/\/+$/, "");
+
+// sem pasta definida, o replay usa a temporada de exemplo e o record grava numa pasta à parte
+export const FIXTURES_DIR =
+  process.env.CARTOLA_FIXTURES_DIR ||
+  path.join(process.cwd(), "fixtures", API_MODE === "record" ? "gravado" : "amostra");
+export const FIXTURES_SCENARIO = process.env.CARTOLA_FIXTURES_SCENARIO || "";
+
+// "/auth/liga/x?page=1" -> "auth/liga/x@page=1.json" (sem caracteres proibidos em nome de arquivo)
+export function fixtureName(pathname) {
+  const [caminho, query] = String(pathname).replace(/^\/+/, "").split("?");
+  const nome = query ? `${caminho}@${query}` : caminho;
+  return `${nome.replace(/[:*?"<>|\\]/g, "_")}.json`;
+}
+
+function fixtureDirs() {
+  return FIXTURES_SCENARIO ? [path.join(FIXTURES_DIR, FIXTURES_SCENARIO), FIXTURES_DIR] : [FIXTURES_DIR];
+}
+
+/**
+ * Resposta gravada para o caminho (com query) da API. Sem fixture: erro com status 404,
+ * como a API faria com um recurso que não existe.
+ */
+export function readFixture(pathname) {
+  const nome = fixtureName(pathname);
+  for (const dir of fixtureDirs()) {
+    const file = path.join(dir, nome);
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  const err = new Error(`Sem fixture para ${pathname} em ${fixtureDirs().join(", ")} (grave com CARTOLA_API_MODE=record)`);
+  err.status = 404;
+  throw err;
+}
+
+// Grava a resposta (na pasta do cenário, se houver); só no modo record
+export function recordFixture(pathname, data) {
+  if (API_MODE !== "record") return;
+  const file = path.join(fixtureDirs()[0], fixtureName(pathname));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`, "utf8");
+}
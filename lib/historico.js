@@ -0,0 +1,191 @@
+// lib/historico.js
+// Histórico local de pontos por rodada de cada time (arquivo JSON).
+// Usado pelo server.js e pelo scripts/generate.js para somar rodadas sem
+// chamar a API do Cartola de novo para rodadas que já foram pontuadas.
+import fs from "fs";
+import path from "path";
+
+export const HISTORY_FILE =
+  process.env.CARTOLA_HISTORY_FILE || path.join(process.cwd(), "data", "historico.json");
+
+let cache = null;
+
+function emptyHistory() {
+  return { versao: 1, atualizadoEm: null, times: {} };
+}
+
+export function loadHistory() {
+  if (cache) return cache;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(HISTORY_FILE, "utf8"));
+    cache = parsed && typeof parsed.times === "object" ? parsed : emptyHistory();
+  } catch (e) {
+    // arquivo ainda não existe (primeira execução) ou corrompido
+    cache = emptyHistory();
+  }
+  return cache;
+}
+
+export function saveHistory() {
+  const hist = loadHistory();
+  hist.atualizadoEm = new Date().toISOString();
+  fs.mkdirSync(path.dirname(HISTORY_FILE), { recursive: true });
+  // grava em arquivo temporário e renomeia, para não deixar JSON pela metade
+  const tmp = `${HISTORY_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(hist, null, 2), "utf8");
+  fs.renameSync(tmp, HISTORY_FILE);
+}
+
+/**
+ * Última rodada já pontuada, a partir do /mercado/status.
+ * Mercado aberto (1) ou fechado (2) => a rodada atual ainda não terminou.
+ * Fim de temporada (6) => a rodada atual já está fechada e pontuada.
+ */
+export function lastScoredRound(mercado) {
+  const rodadaAtual = Number(mercado?.rodada_atual) || 1;
+  if (mercado?.status_mercado === 6) return rodadaAtual;
+  return rodadaAtual - 1;
+}
+
+// Rodada já registrada para o time, com pontos ou como "não pontuou" (null)
+export function hasRound(timeId, rodada) {
+  const rodadas = loadHistory().times[String(timeId)]?.rodadas;
+  return Boolean(rodadas) && Object.prototype.hasOwnProperty.call(rodadas, String(rodada));
+}
+
+export function getRoundPoints(timeId, rodada) {
+  const pontos = loadHistory().times[String(timeId)]?.rodadas?.[String(rodada)];
+  return pontos == null ? null : pontos;
+}
+
+/**
+ * Registra pontos de uma rodada. `entries`: [{ time_id, nome, nome_cartola, pontos }].
+ * Entradas com pontos null são ignoradas (rodada ainda sem pontuação).
+ */
+export function recordRound(rodada, entries) {
+  const hist = loadHistory();
+  let changed = 0;
+  for (const e of entries) {
+    if (e?.time_id == null || e?.pontos == null || !Number.isFinite(Number(e.pontos))) continue;
+    const key = String(e.time_id);
+    const t = (hist.times[key] = hist.times[key] || { rodadas: {} });
+    if (e.nome) t.nome = String(e.nome).trim();
+    if (e.nome_cartola) t.cartoleiro = String(e.nome_cartola).trim();
+    if (t.rodadas[String(rodada)] !== Number(e.pontos)) {
+      t.rodadas[String(rodada)] = Number(e.pontos);
+      changed++;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Com o mercado aberto, `pontos.rodada` da liga é a rodada anterior (já pontuada):
+ * salva no histórico sem nenhuma chamada extra.
+ */
+export function recordFromLeague(mercado, times) {
+  if (mercado?.status_mercado !== 1) return 0;
+  const rodada = lastScoredRound(mercado);
+  if (rodada < 1) return 0;
+  return recordRound(
+    rodada,
+    times.map((t) => ({ time_id: t?.time_id, nome: t?.nome, nome_cartola: t?.nome_cartola, pontos: t?.pontos?.rodada }))
+  );
+}
+
+export function roundRange(start, end) {
+  const out = [];
+  for (let r = start; r <= end; r++) out.push(r);
+  return out;
+}
+
+export function missingRounds(timeId, rodadas) {
+  return rodadas.filter((r) => !hasRound(timeId, r));
+}
+
+/**
+ * Registra que o time não pontuou numa rodada já fechada (não escalou, ou a API não tem o time
+ * nessa rodada): fica null no histórico e a rodada não é buscada de novo. Não apaga pontos já salvos.
+ */
+export function recordNoPoints(rodada, { time_id, nome, nome_cartola }) {
+  if (time_id == null || hasRound(time_id, rodada)) return 0;
+  const hist = loadHistory();
+  const t = (hist.times[String(time_id)] = hist.times[String(time_id)] || { rodadas: {} });
+  if (nome) t.nome = String(nome).trim();
+  if (nome_cartola) t.cartoleiro = String(nome_cartola).trim();
+  t.rodadas[String(rodada)] = null;
+  return 1;
+}
+
+/**
+ * Garante no histórico as rodadas pedidas para todos os times, buscando só o que falta.
+ * `fetchTeamRounds(timeId, rodadas)` deve devolver { [rodada]: pontos }, com null para rodada em que
+ * o time não pontuou (registrada assim, não é buscada de novo); rodada ausente fica para a próxima vez.
+ * Falha em um time não derruba os demais: o time fica sem essas rodadas.
+ * Com `force`, busca tudo de novo (usado pelo backfill).
+ */
+export async function ensureRounds(times, rodadas, fetchTeamRounds, { force = false } = {}) {
+  let fetched = 0;
+  const failures = [];
+
+  for (const t of times) {
+    const timeId = t?.time_id;
+    if (timeId == null) continue;
+    const faltando = force ? rodadas : missingRounds(timeId, rodadas);
+    if (!faltando.length) continue;
+
+    try {
+      const pontosPorRodada = (await fetchTeamRounds(timeId, faltando)) || {};
+      for (const r of faltando) {
+        if (!Object.prototype.hasOwnProperty.call(pontosPorRodada, String(r))) continue;
+        const entry = { time_id: timeId, nome: t?.nome, nome_cartola: t?.nome_cartola, pontos: pontosPorRodada[String(r)] };
+        fetched += entry.pontos == null ? recordNoPoints(r, entry) : recordRound(r, [entry]);
+      }
+    } catch (e) {
+      failures.push({ time_id: timeId, error: e?.message });
+    }
+  }
+
+  if (fetched) saveHistory();
+  return { fetched, failures };
+}
+
+/**
+ * Soma as rodadas de um time. `completo` indica se todas as rodadas pedidas estão no histórico;
+ * rodada registrada sem pontos (recordNoPoints) conta como 0, como no Cartola.
+ * Se nenhuma rodada estiver disponível, `total` é null.
+ */
+export function sumRounds(timeId, rodadas) {
+  let total = 0;
+  let encontradas = 0;
+  for (const r of rodadas) {
+    if (!hasRound(timeId, r)) continue;
+    total += getRoundPoints(timeId, r) ?? 0;
+    encontradas++;
+  }
+  if (!encontradas && rodadas.length) return { total: null, completo: false };
+  return { total: Number(total.toFixed(2)), completo: encontradas === rodadas.length };
+}
+
+/**
+ * Classificação geral de uma liga ao fim de cada rodada ({ time_id: pos }), usada nas setas de movimento.
+ * Fica em classificacoes[liga][rodada]. `ranking`: [{ time_id, pos }].
+ * Devolve true se mudou algo (aí é preciso chamar saveHistory).
+ */
+export function recordStandings(rodada, ranking, liga) {
+  const hist = loadHistory();
+  const snapshot = {};
+  for (const r of ranking) {
+    if (r?.time_id != null && Number.isFinite(r?.pos)) snapshot[String(r.time_id)] = r.pos;
+  }
+  const key = String(rodada);
+  hist.classificacoes = hist.classificacoes || {};
+  const daLiga = (hist.classificacoes[liga] = hist.classificacoes[liga] || {});
+  if (JSON.stringify(daLiga[key]) === JSON.stringify(snapshot)) return false;
+  daLiga[key] = snapshot;
+  return true;
+}
+
+export function getStandings(rodada, liga) {
+  return loadHistory().classificacoes?.[liga]?.[String(rodada)] || null;
+}
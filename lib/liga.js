@@ -0,0 +1,49 @@
+// lib/liga.js
+// Paginação da liga: /auth/liga/{slug}?page=N devolve só uma parte dos times.
+
+// proteção contra loop infinito caso a API repita páginas
+const MAX_PAGES = Number(process.env.CARTOLA_MAX_PAGES || 50);
+
+export function totalTimesLiga(liga) {
+  const total = Number(liga?.total_times_liga ?? liga?.total_times);
+  return Number.isFinite(total) && total > 0 ? total : null;
+}
+
+/**
+ * Busca todas as páginas da liga e junta os times, sem duplicar time_id.
+ * `fetchPage(page)` devolve o JSON de uma página.
+ * Para quando a página vem vazia, não traz nenhum time novo ou já temos o total informado.
+ * Devolve o JSON da primeira página com `times` completo e `carregados`/`totalLiga`.
+ */
+export async function fetchAllLeaguePages(fetchPage) {
+  const first = await fetchPage(1);
+  const totalLiga = totalTimesLiga(first?.liga);
+
+  const seen = new Set();
+  const times = [];
+  const addTimes = (page) => {
+    let novos = 0;
+    for (const t of Array.isArray(page?.times) ? page.times : []) {
+      const key = t?.time_id != null ? `id:${t.time_id}` : `nome:${t?.nome}|${t?.nome_cartola}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      times.push(t);
+      novos++;
+    }
+    return novos;
+  };
+
+  let novos = addTimes(first);
+  for (let page = 2; page <= MAX_PAGES && novos > 0; page++) {
+    if (totalLiga != null && times.length >= totalLiga) break;
+    novos = addTimes(await fetchPage(page));
+  }
+
+  return { ...first, times, carregados: times.length, totalLiga };
+}
+
+// Linha de aviso quando nem todos os times da liga foram carregados ("" se está tudo certo)
+export function pagingWarning(carregados, totalLiga) {
+  if (totalLiga == null || carregados >= totalLiga) return "";
+  return `⚠️ Só ${carregados} de ${totalLiga} times foram carregados (ranking incompleto).`;
+}
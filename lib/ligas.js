@@ -0,0 +1,77 @@
+// lib/ligas.js
+// Várias ligas no mesmo deploy. config/ligas.json (CARTOLA_LEAGUES_FILE):
+//   {
+//     "padrao": "show-de-bola-araca-f-c",
+//     "ligas": [
+//       { "slug": "show-de-bola-araca-f-c" },
+//       { "slug": "liga-do-trabalho", "temporada": "config/ligas/liga-do-trabalho/temporada.json",
+//         "templates": "config/ligas/liga-do-trabalho/templates" }
+//     ]
+//   }
+// Cada liga tem a sua configuração de temporada (competições, premiados, premiação, copa...) e pode ter
+// a sua pasta de templates (o que não estiver lá vem de config/templates e depois de templates/).
+// Sem o arquivo existe uma liga só: a de CARTOLA_LEAGUE_SLUG, com config/temporada.json.
+//
+// Os pontos por rodada (data/historico.json) são do time, não da liga, e ficam num histórico só.
+// O que depende da liga (tabela de confrontos, copa) fica em data/ para a liga padrão e em
+// data/ligas/<slug>/ para as demais (ao lado de CARTOLA_CONFRONTOS_FILE / CARTOLA_COPA_FILE, se definidos).
+import fs from "fs";
+import path from "path";
+import { loadSeasonConfig, SEASON_CONFIG_FILE } from "./competicoes.js";
+import { CONFRONTOS_FILE } from "./confrontos.js";
+import { COPA_FILE } from "./copa.js";
+import { DEFAULT_TEMPLATES_DIR, TEMPLATES_DIR } from "./templates.js";
+
+export const LEAGUES_FILE = process.env.CARTOLA_LEAGUES_FILE || path.join(process.cwd(), "config", "ligas.json");
+
+const SLUG = /^[a-z0-9][a-z0-9-]*$/;
+
+function readLeaguesFile(defaultSlug) {
+  if (!fs.existsSync(LEAGUES_FILE)) return { padrao: defaultSlug, ligas: [{ slug: defaultSlug }] };
+  try {
+    return JSON.parse(fs.readFileSync(LEAGUES_FILE, "utf8"));
+  } catch (e) {
+    throw new Error(`Não consegui ler a lista de ligas (${LEAGUES_FILE}): ${e.message}`);
+  }
+}
+
+// data/confrontos.json -> data/ligas/<slug>/confrontos.json
+function leagueFile(file, slug) {
+  return path.join(path.dirname(file), "ligas", slug, path.basename(file));
+}
+
+/**
+ * Carrega as ligas. Devolve { padrao, ligas, get(slug) }; cada liga:
+ * { slug, padrao, season, templateDirs, confrontosFile, copaFile }.
+ * Erros de configuração (de qualquer liga) derrubam na largada, como o config/temporada.json.
+ */
+export function loadLeagues(defaultSlug) {
+  const cfg = readLeaguesFile(defaultSlug);
+  const lista = Array.isArray(cfg?.ligas) ? cfg.ligas : [];
+  const problems = [];
+  if (!lista.length) problems.push("ligas deve ser uma lista com pelo menos uma liga");
+
+  const slugs = new Set();
+  for (const l of lista) {
+    if (!SLUG.test(String(l?.slug || ""))) problems.push(`slug inválido: ${JSON.stringify(l?.slug)}`);
+    else if (slugs.has(l.slug)) problems.push(`slug repetido: ${l.slug}`);
+    else slugs.add(l.slug);
+  }
+  const padrao = cfg.padrao ?? lista[0]?.slug;
+  if (lista.length && !slugs.has(padrao)) problems.push(`padrao "${padrao}" não está na lista de ligas`);
+  if (problems.length) throw new Error(`Lista de ligas inválida (${LEAGUES_FILE}):\n- ${problems.join("\n- ")}`);
+
+  const ligas = lista.map((l) => {
+    const isDefault = l.slug === padrao;
+    return {
+      slug: l.slug,
+      padrao: isDefault,
+      season: loadSeasonConfig(l.temporada ? path.resolve(l.temporada) : SEASON_CONFIG_FILE),
+      templateDirs: [...(l.templates ? [path.resolve(l.templates)] : []), TEMPLATES_DIR, DEFAULT_TEMPLATES_DIR],
+      confrontosFile: isDefault ? CONFRONTOS_FILE : leagueFile(CONFRONTOS_FILE, l.slug),
+      copaFile: isDefault ? COPA_FILE : leagueFile(COPA_FILE, l.slug),
+    };
+  });
+  const bySlug = new Map(ligas.map((l) => [l.slug, l]));
+  return { padrao, ligas, get: (slug) => bySlug.get(slug) || null };
+}
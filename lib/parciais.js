@@ -0,0 +1,29 @@
+// lib/parciais.js
+// Parciais da rodada em andamento: soma os pontos ao vivo (/atletas/pontuados) dos atletas
+// escalados por cada time (/time/id/{id}/{rodada}), com o multiplicador do capitão.
+
+// config/temporada.json → "parciais" (opcional): { multiplicadorCapitao }
+export function parciaisConfig(cfg) {
+  return { multiplicadorCapitao: 1.5, ...(cfg?.parciais || {}) };
+}
+
+/**
+ * Parcial de um time. `escalacao`: resposta de /time/id/{id}/{rodada} ({ atletas, capitao_id });
+ * `pontuados`: mapa atleta_id -> { pontuacao, entrou_em_campo } de /atletas/pontuados.
+ * Atleta que ainda não pontuou conta 0. Devolve { pontos, emCampo, escalados, capitao }.
+ */
+export function teamPartial(escalacao, pontuados, multiplicadorCapitao) {
+  const atletas = Array.isArray(escalacao?.atletas) ? escalacao.atletas : [];
+  let pontos = 0;
+  let emCampo = 0;
+  let capitao = null;
+  for (const a of atletas) {
+    const ehCapitao = a?.atleta_id != null && a.atleta_id === escalacao.capitao_id;
+    if (ehCapitao) capitao = a?.apelido || null;
+    const p = pontuados?.[String(a?.atleta_id)];
+    if (p?.pontuacao == null) continue;
+    pontos += Number(p.pontuacao) * (ehCapitao ? multiplicadorCapitao : 1);
+    if (p.entrou_em_campo !== false) emCampo++;
+  }
+  return { pontos: Number(pontos.toFixed(2)), emCampo, escalados: atletas.length, capitao };
+}
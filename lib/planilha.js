@@ -0,0 +1,126 @@
+// lib/planilha.js
+// Exportação em CSV para planilha (tesouraria, conferência de disputas): a temporada inteira
+// (um time por linha, uma coluna por rodada, total de cada mensal e o total geral), a geral e o mensal.
+// Padrão brasileiro: vírgula decimal e ";" entre colunas, como o Excel/LibreOffice em pt-BR abrem direto;
+// com decimal "ponto", 123.45 e "," entre colunas. O arquivo começa com BOM para os acentos.
+// As colunas têm ordem fixa: a temporada lista todos os mensais da config, mesmo os que não começaram.
+// A coluna "elegibilidade" traz a marca do time (lib/elegibilidade.js); rodadas antes do "inicio" ficam vazias.
+import { getRoundPoints, roundRange, sumRounds } from "./historico.js";
+import { competitionsOfType, tiebreakersFor } from "./competicoes.js";
+import { eligibilityNote, startRound } from "./elegibilidade.js";
+import { countedRounds, rankBySum } from "./ranking.js";
+
+export const CSV_DECIMALS = ["virgula", "ponto"];
+
+function number(value, decimal) {
+  if (value == null) return "";
+  const text = Number(value).toFixed(2);
+  return decimal === "ponto" ? text : text.replace(".", ",");
+}
+
+// Texto que começa com = + - @ (ou tab/CR) vira fórmula no Excel/LibreOffice; nome de time e de
+// cartoleiro vem do usuário, então vai com ' na frente (a planilha mostra como texto)
+function safeText(value) {
+  return typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function cell(value, sep) {
+  const text = String(value ?? "");
+  return text.includes(sep) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV a partir de colunas [{ titulo, valor: (linha) => valor, numero }] e das linhas.
+ * Colunas com `numero` saem com 2 casas no separador decimal pedido ("" quando null);
+ * as de texto, protegidas contra fórmula (safeText).
+ */
+export function toCsv(colunas, linhas, { decimal = "virgula" } = {}) {
+  const sep = decimal === "ponto" ? "," : ";";
+  const row = (values) => values.map((v) => cell(v, sep)).join(sep);
+  const out = [
+    row(colunas.map((c) => c.titulo)),
+    ...linhas.map((l) => row(colunas.map((c) => (c.numero ? number(c.valor(l), decimal) : safeText(c.valor(l)))))),
+  ];
+  return `\ufeff${out.join("\r\n")}\r\n`;
+}
+
+const empate = (r) => (r.empate ? "sim" : "");
+
+/**
+ * Temporada até `ultimaRodada`: pos na geral, time, pontos de cada rodada, total de cada mensal e total.
+ * Tudo do histórico local (rodada sem pontos fica vazia); times sem pontos vão para o fim, sem posição.
+ */
+export function seasonCsv(times, ultimaRodada, cfg, opts = {}) {
+  const rodadas = roundRange(1, ultimaRodada);
+  const inicio = startRound(cfg);
+  const geral = new Map(rankBySum(times, rodadas, { desempate: tiebreakersFor(cfg), inicio }).map((r) => [r.time_id, r]));
+  const mensais = competitionsOfType(cfg, "mensal");
+
+  const linhas = times
+    .filter((t) => t?.time_id != null)
+    .map((t) => ({ t, g: geral.get(t.time_id) }))
+    // sem posição (sem pontos) vai para o fim; entre eles, a ordem da liga
+    .sort((a, b) => (a.g?.pos ?? Number.MAX_SAFE_INTEGER) - (b.g?.pos ?? Number.MAX_SAFE_INTEGER));
+
+  const colunas = [
+    { titulo: "pos", valor: ({ g }) => g?.pos ?? "" },
+    { titulo: "empate", valor: ({ g }) => (g ? empate(g) : "") },
+    { titulo: "time_id", valor: ({ t }) => t.time_id },
+    { titulo: "time", valor: ({ t }) => t.nome?.trim() },
+    { titulo: "cartoleiro", valor: ({ t }) => t.nome_cartola?.trim() },
+    { titulo: "elegibilidade", valor: ({ t }) => eligibilityNote(cfg, t.time_id) },
+    ...rodadas.map((r) => ({
+      titulo: `R${r}`,
+      numero: true,
+      valor: ({ t }) => (r >= inicio(t.time_id) ? getRoundPoints(t.time_id, r) : null),
+    })),
+    ...mensais.map((c) => ({
+      titulo: c.label,
+      numero: true,
+      valor: ({ t }) => {
+        if (c.start > ultimaRodada) return null;
+        const conta = countedRounds(t.time_id, roundRange(c.start, Math.min(c.end, ultimaRodada)), inicio);
+        return conta.length ? sumRounds(t.time_id, conta).total : null;
+      },
+    })),
+    { titulo: "total", numero: true, valor: ({ g }) => g?.pontos ?? null },
+  ];
+  return toCsv(colunas, linhas, opts);
+}
+
+// Classificação geral ([{ pos, empate, time_id, time, cartoleiro, pontos, elegibilidade }], como no /geral)
+export function overallCsv(ranking, opts = {}) {
+  return toCsv(
+    [
+      { titulo: "pos", valor: (r) => r.pos },
+      { titulo: "empate", valor: empate },
+      { titulo: "time_id", valor: (r) => r.time_id },
+      { titulo: "time", valor: (r) => r.time },
+      { titulo: "cartoleiro", valor: (r) => r.cartoleiro },
+      { titulo: "pontos", numero: true, valor: (r) => r.pontos },
+      { titulo: "elegibilidade", valor: (r) => r.elegibilidade },
+    ],
+    ranking,
+    opts
+  );
+}
+
+// Ranking de um segmento mensal; "premiado" marca quem está na faixa de premiados do mês,
+// contada só entre quem pode levar prêmio (`posPremio`, lib/elegibilidade.js)
+export function monthlyCsv(comp, ranking, opts = {}) {
+  return toCsv(
+    [
+      { titulo: "mensal", valor: () => comp.label },
+      { titulo: "pos", valor: (r) => r.pos },
+      { titulo: "empate", valor: empate },
+      { titulo: "time_id", valor: (r) => r.time_id },
+      { titulo: "time", valor: (r) => r.time },
+      { titulo: "cartoleiro", valor: (r) => r.cartoleiro },
+      { titulo: "pontos", numero: true, valor: (r) => r.pontos },
+      { titulo: "elegibilidade", valor: (r) => r.elegibilidade },
+      { titulo: "premiado", valor: (r) => (r.elegivel !== false && (r.posPremio ?? r.pos) <= comp.premiados ? "sim" : "") },
+    ],
+    ranking,
+    opts
+  );
+}
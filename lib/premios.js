@@ -0,0 +1,174 @@
+// lib/premios.js
+// Bolo da liga e quem ganhou quanto (config/temporada.json → "premiacao"):
+//   inscricao × pagantes = bolo, dividido por percentual entre as categorias de "divisao":
+//   - "rodada": o valor da categoria é repartido igualmente entre as rodadas da temporada;
+//   - "geral": classificação final (só é decidido depois da última rodada);
+//   - um tipo de competição ("mensal", "turno", ...): repartido igualmente entre as competições do tipo.
+//   Dentro de cada prêmio, "distribuicao" diz o percentual de cada posição.
+// Empatados dividem a soma dos prêmios das posições que ocupam. Valores em centavos: nas divisões, o
+// centavo que sobra do arredondamento vai para uma das partes, e o que é pago fecha com o bolo.
+// Times sem direito a prêmio (lib/elegibilidade.js) não entram no bolo nem na divisão: a posição
+// premiada passa para o próximo. Com "pagantes" preenchido, o bolo é a lista e só ela leva prêmio.
+import { roundRange } from "./historico.js";
+import { competitionsOfType, tiebreakersFor } from "./competicoes.js";
+import { canWinPrizes, eligibilityOf, prizeRanking, startRound } from "./elegibilidade.js";
+import { rankBySum } from "./ranking.js";
+
+const CATEGORY_LABELS = { rodada: "Rodadas (mito)", geral: "Classificação geral", mensal: "Mensais", turno: "Turnos", copa: "Copas" };
+
+export function formatMoney(cents) {
+  return `R$ ${(Number(cents || 0) / 100).toFixed(2).replace(".", ",")}`;
+}
+
+// Parte i de n do valor (o que sobra da divisão em centavos vai para a última)
+function share(total, n, i) {
+  const base = Math.floor(total / n);
+  return i === n - 1 ? total - base * (n - 1) : base;
+}
+
+// Valor de cada parte (centavos) a partir dos percentuais: cada uma leva o valor arredondado para baixo
+// e o que sobra vai para a primeira, para a soma das partes fechar com o percentual total do valor
+function splitPrize(total, percentuais) {
+  const pcts = percentuais.map(Number);
+  const valores = pcts.map((p) => Math.floor((total * p) / 100));
+  const alvo = Math.round((total * pcts.reduce((a, p) => a + p, 0)) / 100);
+  if (valores.length) valores[0] += alvo - valores.reduce((a, v) => a + v, 0);
+  return valores;
+}
+
+// [{ entrada, valor }]: quem ficou em posição premiada divide com o grupo a soma dos prêmios das posições
+// que o grupo ocupa (share: os centavos que sobram vão para o último do grupo)
+function payout(ranked, valores) {
+  const out = [];
+  const byPos = new Map();
+  ranked.forEach((e) => byPos.set(e.pos, [...(byPos.get(e.pos) || []), e]));
+  for (const [pos, group] of byPos) {
+    const soma = valores.slice(pos - 1, pos - 1 + group.length).reduce((a, v) => a + v, 0);
+    if (!soma) continue;
+    group.forEach((e, i) => out.push({ entrada: e, valor: share(soma, group.length, i) }));
+  }
+  return out;
+}
+
+// "38 × R$ 1,18"; com sobra de centavos (vai para a última parte, ver share): "37 × R$ 1,18 + 1 × R$ 1,22"
+function sharesLabel(total, n) {
+  const base = share(total, n, 0);
+  const ultima = share(total, n, n - 1);
+  if (ultima === base) return `${n} × ${formatMoney(base)}`;
+  return `${n - 1} × ${formatMoney(base)} + 1 × ${formatMoney(ultima)}`;
+}
+
+const roundsLabel = (de, ate) => (de === ate ? `Rodada ${de}` : `Rodadas ${de} a ${ate}`);
+
+/**
+ * Livro-caixa da premiação até `ultimaRodada` (última pontuada).
+ * Devolve null se a temporada não tem "premiacao" configurada. Senão:
+ * { inscricao, pagantes, bolo, divisao, ganhos, pendentes, distribuido, aDefinir, avisos } — valores em centavos;
+ * `ganhos`: [{ time_id, time, cartoleiro, total, itens: [{ descricao, pos, valor }] }] do maior para o menor;
+ * `avisos`: pagantes que não estão na liga (erro de digitação ou time que saiu: entram no bolo mesmo assim).
+ */
+export function prizeLedger(cfg, times, ultimaRodada) {
+  const p = cfg.premiacao;
+  if (!p) return null;
+
+  const pagantes = p.pagantes?.length ? p.pagantes.length : times.filter((t) => canWinPrizes(cfg, t?.time_id)).length;
+  // os ocultos (lib/elegibilidade.js) não vêm em `times`, mas estão na liga
+  const ocultos = Object.keys(cfg.elegibilidade || {}).filter((id) => eligibilityOf(cfg, id).oculto).map(Number);
+  const naLiga = new Set([...times.map((t) => t?.time_id), ...ocultos]);
+  const foraDaLiga = (p.pagantes || []).filter((id) => !naLiga.has(id));
+  const inicio = startRound(cfg);
+  // ranking de quem pode levar prêmio (posições refeitas sem os demais)
+  const rankPrize = (rodadas, comp = null) => prizeRanking(cfg, rankBySum(times, rodadas, { desempate: tiebreakersFor(cfg, comp), inicio }));
+  const bolo = Math.round(Number(p.inscricao) * 100) * pagantes;
+  const divisao = [];
+  const pendentes = [];
+  const ganhos = new Map();
+
+  const pay = (descricao, ranked, valores) => {
+    for (const { entrada, valor } of payout(ranked, valores)) {
+      const g = ganhos.get(entrada.time_id) || {
+        time_id: entrada.time_id,
+        time: entrada.time,
+        cartoleiro: entrada.cartoleiro,
+        total: 0,
+        itens: [],
+      };
+      g.total += valor;
+      g.itens.push({ descricao, pos: entrada.pos, valor });
+      ganhos.set(entrada.time_id, g);
+    }
+  };
+
+  const categorias = Object.keys(p.divisao);
+  const valoresCat = splitPrize(bolo, Object.values(p.divisao));
+  for (const [c, cat] of categorias.entries()) {
+    const valorCat = valoresCat[c];
+    const dist = p.distribuicao[cat];
+    const label = CATEGORY_LABELS[cat] || cat;
+
+    if (cat === "rodada") {
+      const n = cfg.totalRodadas;
+      divisao.push({ categoria: cat, label, valor: valorCat, detalhe: sharesLabel(valorCat, n) });
+      let pendentesDe = null;
+      for (let r = 1; r <= n; r++) {
+        const ranked = r <= ultimaRodada ? rankPrize([r]) : [];
+        if (ranked.length) pay(`Rodada ${r}`, ranked, splitPrize(share(valorCat, n, r - 1), dist));
+        else pendentesDe = pendentesDe ?? r;
+        // rodadas sem pontuação viram um item só por trecho ("Rodadas 12 a 38")
+        if (pendentesDe != null && (ranked.length || r === n)) {
+          const ate = ranked.length ? r - 1 : r;
+          const valor = roundRange(pendentesDe, ate).reduce((a, x) => a + share(valorCat, n, x - 1), 0);
+          pendentes.push({ descricao: roundsLabel(pendentesDe, ate), valor });
+          pendentesDe = null;
+        }
+      }
+    } else if (cat === "geral") {
+      divisao.push({ categoria: cat, label, valor: valorCat, detalhe: null });
+      const ranked = ultimaRodada >= cfg.totalRodadas ? rankPrize(roundRange(1, cfg.totalRodadas)) : [];
+      if (ranked.length) pay(label, ranked, splitPrize(valorCat, dist));
+      else pendentes.push({ descricao: label, valor: valorCat });
+    } else {
+      const comps = competitionsOfType(cfg, cat);
+      const detalhe = comps.length ? sharesLabel(valorCat, comps.length) : null;
+      divisao.push({ categoria: cat, label, valor: valorCat, detalhe });
+      comps.forEach((comp, i) => {
+        const porComp = share(valorCat, comps.length, i);
+        const ranked = comp.end <= ultimaRodada ? rankPrize(roundRange(comp.start, comp.end), comp) : [];
+        if (ranked.length) pay(comp.label, ranked, splitPrize(porComp, dist));
+        else pendentes.push({ descricao: comp.label, valor: porComp });
+      });
+    }
+  }
+
+  const lista = [...ganhos.values()].sort((a, b) => b.total - a.total || String(a.time).localeCompare(String(b.time), "pt-BR"));
+  return {
+    inscricao: Math.round(Number(p.inscricao) * 100),
+    pagantes,
+    bolo,
+    divisao,
+    ganhos: lista,
+    pendentes,
+    distribuido: lista.reduce((a, g) => a + g.total, 0),
+    aDefinir: pendentes.reduce((a, x) => a + x.valor, 0),
+    avisos: foraDaLiga.length ? [`pagantes fora da liga: ${foraDaLiga.join(", ")} (confira premiacao.pagantes)`] : [],
+  };
+}
+
+/**
+ * Dados do templates/premiacao.txt (servidor e generate.js): o livro-caixa com os valores em R$.
+ * null se a temporada não tem premiação.
+ */
+export function ledgerTemplateData(ledger) {
+  if (!ledger) return null;
+  const money = (list) => list.map((x) => ({ ...x, valor: formatMoney(x.valor) }));
+  return {
+    ...ledger,
+    inscricao: formatMoney(ledger.inscricao),
+    bolo: formatMoney(ledger.bolo),
+    distribuido: formatMoney(ledger.distribuido),
+    aDefinir: formatMoney(ledger.aDefinir),
+    divisao: money(ledger.divisao),
+    pendentes: money(ledger.pendentes),
+    ganhos: ledger.ganhos.map((g) => ({ ...g, total: formatMoney(g.total), itens: money(g.itens) })),
+  };
+}
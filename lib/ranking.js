@@ -0,0 +1,190 @@
+// lib/ranking.js
+// Classificação com empates: times com a mesma pontuação dividem a posição ("3º (empate)"),
+// a não ser que a competição defina critérios de desempate (config/temporada.json → "desempate").
+import { getRoundPoints, getStandings, recordStandings, roundRange, saveHistory, sumRounds } from "./historico.js";
+
+const NONE = -Infinity;
+
+// Valor de cada critério para um time (maior é melhor).
+// ctx: rodadas da competição + cálculos sobre todos os times do ranking (feitos uma vez só).
+export const TIEBREAKERS = {
+  melhorRodada: {
+    label: "melhor rodada",
+    value: (e, ctx) => Math.max(NONE, ...ctx.rodadas.map((r) => getRoundPoints(e.time_id, r) ?? NONE)),
+  },
+  maisRodadasVencidas: {
+    label: "mais rodadas vencidas",
+    value: (e, ctx) => ctx.roundWins().get(e.time_id) || 0,
+  },
+  ultimaRodada: {
+    label: "pontos na última rodada",
+    value: (e, ctx) => (ctx.rodadas.length ? getRoundPoints(e.time_id, ctx.rodadas[ctx.rodadas.length - 1]) ?? NONE : NONE),
+  },
+  alfabetica: {
+    label: "ordem alfabética",
+    // negativo do índice na ordem alfabética: "maior é melhor" vale para todos os critérios
+    value: (e, ctx) => -ctx.alphabetical().indexOf(e),
+  },
+};
+
+const cents = (v) => (v == null ? NONE : Math.round(Number(v) * 100));
+// ordem decrescente sem NaN quando os dois lados são -Infinity (sem pontos)
+const desc = (x, y) => (x === y ? 0 : y > x ? 1 : -1);
+
+// Rodadas vencidas (maior pontuação da liga na rodada; empate conta para todos)
+function countRoundWins(entries, rodadas) {
+  const wins = new Map();
+  for (const r of rodadas) {
+    const pts = entries.map((e) => [e.time_id, getRoundPoints(e.time_id, r)]).filter(([, p]) => p != null);
+    if (!pts.length) continue;
+    const best = Math.max(...pts.map(([, p]) => p));
+    pts.filter(([, p]) => p === best).forEach(([id]) => wins.set(id, (wins.get(id) || 0) + 1));
+  }
+  return wins;
+}
+
+// Separa um grupo empatado aplicando os critérios em ordem. Devolve subgrupos ordenados.
+function breakTie(group, criteria, ctx) {
+  if (group.length === 1 || !criteria.length) return [group];
+  const [key, ...rest] = criteria;
+  const crit = TIEBREAKERS[key];
+
+  const scored = group.map((e) => ({ e, v: crit.value(e, ctx) })).sort((a, b) => desc(a.v, b.v));
+  const subgroups = [];
+  scored.forEach(({ e, v }, i) => {
+    if (i && v === scored[i - 1].v) subgroups[subgroups.length - 1].push(e);
+    else subgroups.push([e]);
+  });
+  if (subgroups.length === 1) return breakTie(group, rest, ctx);
+
+  return subgroups.flatMap((sub) => {
+    const result = breakTie(sub, rest, ctx);
+    // quem ficou sozinho por causa deste critério (e não de um mais abaixo) leva o nome dele
+    result.forEach((g) => {
+      if (g.length === 1 && !ctx.settledBy.has(g[0])) ctx.settledBy.set(g[0], crit.label);
+    });
+    return result;
+  });
+}
+
+/**
+ * Ordena por `pontos` (desc) e numera as posições tratando empates.
+ * entries: [{ time_id, time, pontos, ... }]
+ * opts.desempate: lista de chaves de TIEBREAKERS, em ordem; vazia => empatados dividem a posição.
+ * opts.rodadas: rodadas consideradas pelos critérios.
+ * Devolve as entradas com { pos, empate, desempate } (desempate = critério que decidiu, ou null).
+ */
+export function rankWithTies(entries, { desempate = [], rodadas = [] } = {}) {
+  const sorted = [...entries].sort((a, b) => desc(cents(a.pontos), cents(b.pontos)));
+  let wins = null;
+  let alpha = null;
+  const ctx = {
+    rodadas,
+    settledBy: new Map(),
+    roundWins: () => (wins = wins || countRoundWins(entries, rodadas)),
+    alphabetical: () =>
+      (alpha = alpha || [...entries].sort((a, b) => String(a.time ?? "").localeCompare(String(b.time ?? ""), "pt-BR"))),
+  };
+
+  const groups = [];
+  sorted.forEach((e, i) => {
+    if (i && cents(e.pontos) === cents(sorted[i - 1].pontos)) groups[groups.length - 1].push(e);
+    else groups.push([e]);
+  });
+
+  const out = [];
+  for (const group of groups) {
+    for (const sub of breakTie(group, desempate, ctx)) {
+      const pos = out.length + 1;
+      sub.forEach((e) =>
+        out.push({ ...e, pos, empate: sub.length > 1, desempate: sub.length === 1 ? ctx.settledBy.get(e) ?? null : null })
+      );
+    }
+  }
+  return out;
+}
+
+// Rodadas que contam para o time: `inicio(time_id)` é a primeira (lib/elegibilidade.js)
+export function countedRounds(timeId, rodadas, inicio = null) {
+  if (!inicio) return rodadas;
+  const primeira = inicio(timeId);
+  return rodadas.filter((r) => r >= primeira);
+}
+
+/**
+ * Ranking pela soma das rodadas no histórico (competições, geral, prêmios).
+ * Times sem nenhuma das rodadas ficam de fora. `inicio`: ver countedRounds.
+ */
+export function rankBySum(times, rodadas, { desempate = [], inicio = null } = {}) {
+  const entries = times
+    .map((t) => {
+      const conta = countedRounds(t?.time_id, rodadas, inicio);
+      return {
+        time_id: t?.time_id,
+        time: t?.nome?.trim(),
+        cartoleiro: t?.nome_cartola?.trim(),
+        pontos: conta.length ? sumRounds(t?.time_id, conta).total : null,
+      };
+    })
+    .filter((e) => e.pontos != null);
+  return rankWithTies(entries, { desempate, rodadas });
+}
+
+// TOP N respeitando empates: quem divide a posição N entra junto
+export function topWithTies(ranked, n) {
+  return ranked.filter((r) => r.pos <= n);
+}
+
+/**
+ * Setas de movimento em relação à classificação anterior ({ time_id: pos }):
+ * "↑3", "↓1", "=" ou "novo" (time que não estava na classificação anterior).
+ * Sem classificação anterior, ninguém ganha seta.
+ */
+export function withMovement(ranked, anterior) {
+  return ranked.map((r) => {
+    if (!anterior) return { ...r, posAnterior: null, variacao: null, movimento: null };
+    const antes = anterior[String(r.time_id)];
+    if (antes == null) return { ...r, posAnterior: null, variacao: null, movimento: "novo" };
+    const variacao = antes - r.pos;
+    const movimento = variacao > 0 ? `↑${variacao}` : variacao < 0 ? `↓${-variacao}` : "=";
+    return { ...r, posAnterior: antes, variacao, movimento };
+  });
+}
+
+// Classificação ao fim da rodada refeita a partir dos pontos do histórico
+// (quando a foto daquela rodada não foi salva). Só se todos os times tiverem todas as rodadas.
+function rebuildStandings(ranked, rodada, desempate, inicio) {
+  const rodadas = roundRange(1, rodada);
+  const entries = [];
+  for (const r of ranked) {
+    const soma = sumRounds(r.time_id, countedRounds(r.time_id, rodadas, inicio));
+    if (!soma.completo) return null;
+    entries.push({ time_id: r.time_id, time: r.time, pontos: soma.total });
+  }
+  return rankWithTies(entries, { desempate, rodadas });
+}
+
+/**
+ * Movimento no ranking geral da liga (slug) em relação à rodada anterior.
+ * `ranked`: classificação geral até `rodada` (última pontuada). Com `registrar`, salva essa
+ * classificação no histórico para servir de base na próxima rodada (servidor e generate.js).
+ */
+export function movementSinceLastRound(ranked, rodada, { liga, desempate = [], inicio = null, registrar = true } = {}) {
+  let changed = registrar && rodada >= 1 && recordStandings(rodada, ranked, liga);
+
+  let anterior = rodada > 1 ? getStandings(rodada - 1, liga) : null;
+  if (!anterior && rodada > 1) {
+    const rebuilt = rebuildStandings(ranked, rodada - 1, desempate, inicio);
+    if (rebuilt && registrar) changed = recordStandings(rodada - 1, rebuilt, liga) || changed;
+    if (rebuilt) anterior = Object.fromEntries(rebuilt.map((r) => [String(r.time_id), r.pos]));
+  }
+  if (changed) saveHistory();
+  return withMovement(ranked, anterior);
+}
+
+// Maiores subidas e quedas (até n de cada) para a seção "Maiores subidas / quedas"
+export function biggestMoves(ranked, n = 3) {
+  const subidas = ranked.filter((r) => r.variacao > 0).sort((a, b) => b.variacao - a.variacao || a.pos - b.pos);
+  const quedas = ranked.filter((r) => r.variacao < 0).sort((a, b) => a.variacao - b.variacao || a.pos - b.pos);
+  return { subidas: subidas.slice(0, n), quedas: quedas.slice(0, n) };
+}
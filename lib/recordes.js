@@ -0,0 +1,131 @@
+// lib/recordes.js
+// Prêmios da rodada (mito, lanterna, maior evolução, recordes da liga) e recordes da temporada,
+// calculados a partir do histórico local de pontos por rodada (lib/historico.js).
+import { getRoundPoints, roundRange } from "./historico.js";
+import { competitionsOfType, tiebreakersFor } from "./competicoes.js";
+import { rankBySum, rankWithTies } from "./ranking.js";
+
+const cents = (v) => Math.round(Number(v) * 100);
+const round2 = (v) => Number(Number(v).toFixed(2));
+
+// Quem tem o maior (ou menor) valor do campo; empatados entram todos
+function best(list, field, dir = 1) {
+  if (!list.length) return [];
+  const target = dir * Math.max(...list.map((x) => dir * cents(x[field])));
+  return list.filter((x) => cents(x[field]) === target);
+}
+
+// Pontos de uma rodada: [{ time_id, time, cartoleiro, rodada, pontos }] (só quem já pontuou)
+function roundScores(times, rodada) {
+  return times
+    .map((t) => ({
+      time_id: t?.time_id,
+      time: t?.nome?.trim(),
+      cartoleiro: t?.nome_cartola?.trim(),
+      rodada,
+      pontos: getRoundPoints(t?.time_id, rodada),
+    }))
+    .filter((s) => s.pontos != null);
+}
+
+/**
+ * Prêmios da rodada:
+ * - mito / lanterna: maior e menor pontuação (empatados dividem o prêmio);
+ * - evolucao: maior ganho sobre a média do próprio time nas rodadas anteriores;
+ * - recordes: maior/menor pontuação da liga em uma rodada, quando esta rodada bateu a marca anterior.
+ * Devolve null se a rodada ainda não está no histórico.
+ */
+export function roundAwards(times, rodada) {
+  const scores = roundScores(times, rodada);
+  if (!scores.length) return null;
+
+  const anteriores = roundRange(1, rodada - 1);
+  const ganhos = scores
+    .map((s) => {
+      const prev = anteriores.map((r) => getRoundPoints(s.time_id, r)).filter((p) => p != null);
+      if (!prev.length) return null;
+      const media = prev.reduce((a, p) => a + p, 0) / prev.length;
+      return { ...s, media: round2(media), ganho: round2(s.pontos - media) };
+    })
+    .filter((g) => g && g.ganho > 0);
+
+  const mito = best(scores, "pontos");
+  const lanterna = best(scores, "pontos", -1);
+  const recordes = [];
+  const historico = anteriores.flatMap((r) => roundScores(times, r));
+  if (historico.length) {
+    const [maiorAntes] = best(historico, "pontos");
+    const [menorAntes] = best(historico, "pontos", -1);
+    if (cents(mito[0].pontos) > cents(maiorAntes.pontos)) {
+      recordes.push(...mito.map((m) => ({ ...m, tipo: "maior", descricao: "maior pontuação", anterior: maiorAntes })));
+    }
+    if (cents(lanterna[0].pontos) < cents(menorAntes.pontos)) {
+      recordes.push(...lanterna.map((l) => ({ ...l, tipo: "menor", descricao: "menor pontuação", anterior: menorAntes })));
+    }
+  }
+
+  return { rodada, mito, lanterna, evolucao: best(ganhos, "ganho"), recordes };
+}
+
+// Maior sequência de cada time no TOP 4 da rodada (posição com empates, como no /rodada)
+function top4Streaks(times, rodadas) {
+  const atual = new Map();
+  const melhor = new Map();
+  for (const r of rodadas) {
+    const noTop = new Set(
+      rankWithTies(roundScores(times, r))
+        .filter((x) => x.pos <= 4)
+        .map((x) => x.time_id)
+    );
+    for (const t of times) {
+      if (!noTop.has(t?.time_id)) {
+        atual.delete(t?.time_id);
+        continue;
+      }
+      const s = atual.get(t.time_id) || { de: r, tamanho: 0 };
+      s.tamanho++;
+      s.ate = r;
+      atual.set(t.time_id, s);
+      if (s.tamanho > (melhor.get(t.time_id)?.tamanho || 0)) melhor.set(t.time_id, { ...s });
+    }
+  }
+  return melhor;
+}
+
+// Premiações nos mensais já encerrados (todas as rodadas do segmento pontuadas)
+function monthlyPrizes(times, ultimaRodada, cfg) {
+  const premios = new Map();
+  for (const comp of competitionsOfType(cfg, "mensal")) {
+    if (comp.end > ultimaRodada) continue;
+    rankBySum(times, roundRange(comp.start, comp.end), { desempate: tiebreakersFor(cfg, comp) })
+      .filter((e) => e.pos <= comp.premiados)
+      .forEach((e) => premios.set(e.time_id, [...(premios.get(e.time_id) || []), comp.label]));
+  }
+  return premios;
+}
+
+/**
+ * Recordes da temporada até `ultimaRodada`: maior e menor pontuação em uma rodada,
+ * maior sequência no TOP 4 da rodada e mais premiações mensais. Empatados aparecem todos.
+ */
+export function seasonRecords(times, ultimaRodada, cfg) {
+  const rodadas = roundRange(1, ultimaRodada);
+  const todas = rodadas.flatMap((r) => roundScores(times, r));
+  const byId = new Map(times.map((t) => [t?.time_id, t]));
+  const info = (id) => ({ time_id: id, time: byId.get(id)?.nome?.trim(), cartoleiro: byId.get(id)?.nome_cartola?.trim() });
+
+  const sequencias = [...top4Streaks(times, rodadas)].map(([id, s]) => ({ ...info(id), ...s }));
+  const premiacoes = [...monthlyPrizes(times, ultimaRodada, cfg)].map(([id, labels]) => ({
+    ...info(id),
+    total: labels.length,
+    competicoes: labels,
+  }));
+
+  return {
+    ultimaRodada,
+    maiorRodada: best(todas, "pontos"),
+    menorRodada: best(todas, "pontos", -1),
+    maiorSequencia: best(sequencias, "tamanho"),
+    maisPremiacoes: best(premiacoes, "total"),
+  };
+}
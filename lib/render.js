@@ -0,0 +1,116 @@
+// lib/render.js
+// Renderizadores de mensagem por plataforma (WhatsApp, Telegram, Discord, texto puro, HTML, Markdown).
+//
+// As mensagens são montadas como uma lista de linhas, independente de plataforma:
+// - cada linha é uma string ou uma lista de partes (string | { bold });
+// - "" é linha em branco (separa blocos; é onde a mensagem pode ser quebrada).
+// O renderizador cuida do negrito, do escape de caracteres especiais e do limite de tamanho.
+
+export function b(text) {
+  return { bold: String(text ?? "") };
+}
+
+const escapeHtml = (t) => t.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Telegram MarkdownV2: todos esses caracteres precisam de "\" fora de entidades
+const escapeTelegram = (t) => t.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, "\\$&");
+
+// Discord/Markdown: só o que vira formatação
+const escapeDiscord = (t) => t.replace(/[\\*_~`|>]/g, "\\$&");
+// no Markdown também "01)" vira lista numerada e "[x](y)" vira link
+const escapeMarkdown = (t) => t.replace(/[\\`*_[\]()<>|~#]/g, "\\$&");
+
+const RENDERERS = {
+  // WhatsApp não tem escape; limite real é ~65 mil caracteres
+  whatsapp: { bold: (t) => `*${t}*`, escape: (t) => t, limit: 65000, lineBreak: "\n" },
+  telegram: { bold: (t) => `*${t}*`, escape: escapeTelegram, limit: 4096, lineBreak: "\n" },
+  discord: { bold: (t) => `**${t}**`, escape: escapeDiscord, limit: 2000, lineBreak: "\n" },
+  plain: { bold: (t) => t, escape: (t) => t, limit: Infinity, lineBreak: "\n" },
+  html: { bold: (t) => `<b>${t}</b>`, escape: escapeHtml, limit: Infinity, lineBreak: "<br>\n" },
+  // dois espaços no fim = quebra de linha no Markdown
+  markdown: { bold: (t) => `**${t}**`, escape: escapeMarkdown, limit: Infinity, lineBreak: "  \n" },
+};
+
+export const FORMATS = Object.keys(RENDERERS);
+
+export function isFormat(format) {
+  return Object.prototype.hasOwnProperty.call(RENDERERS, format);
+}
+
+function renderLine(line, r) {
+  const parts = Array.isArray(line) ? line : [line];
+  return parts
+    .map((p) => {
+      if (p == null) return "";
+      if (typeof p === "object" && "bold" in p) return p.bold ? r.bold(r.escape(p.bold)) : "";
+      return r.escape(String(p));
+    })
+    .join("");
+}
+
+// Quebra em mensagens de até `limit` caracteres: primeiro entre blocos, depois entre linhas
+// e, em último caso, no meio de uma linha gigante.
+function splitMessages(lines, limit, sep) {
+  const blocks = [];
+  let block = [];
+  for (const l of lines) {
+    if (l === "") {
+      if (block.length) blocks.push(block);
+      block = [];
+    } else block.push(l);
+  }
+  if (block.length) blocks.push(block);
+
+  const size = (arr) => arr.join(sep).length;
+  const chunks = [];
+  let cur = [];
+  const flush = () => {
+    while (cur.length && cur[cur.length - 1] === "") cur.pop();
+    if (cur.length) chunks.push(cur.join(sep));
+    cur = [];
+  };
+
+  for (const blk of blocks) {
+    const joined = cur.length ? [...cur, "", ...blk] : blk;
+    if (size(joined) <= limit) {
+      cur = joined;
+      continue;
+    }
+    if (size(blk) <= limit) {
+      flush();
+      cur = [...blk];
+      continue;
+    }
+    // bloco maior que o limite (ranking longo): vai linha a linha, aproveitando a mensagem atual
+    if (cur.length) cur.push("");
+    for (let l of blk) {
+      while (l.length > limit) {
+        flush();
+        chunks.push(l.slice(0, limit));
+        l = l.slice(limit);
+      }
+      if (size([...cur, l]) <= limit) cur.push(l);
+      else {
+        flush();
+        cur = [l];
+      }
+    }
+  }
+  flush();
+  return chunks;
+}
+
+/**
+ * Renderiza as linhas no formato pedido.
+ * Devolve { format, texto, mensagens }: `texto` é a mensagem inteira e `mensagens`
+ * a mesma coisa quebrada no limite de tamanho da plataforma (1 item se couber).
+ */
+export function renderMessage(lines, format = "whatsapp") {
+  const r = RENDERERS[format];
+  if (!r) throw new Error(`Formato desconhecido: ${format} (use ${FORMATS.join(", ")})`);
+
+  const rendered = lines.map((l) => renderLine(l, r));
+  const texto = rendered.join(r.lineBreak);
+  const mensagens = texto.length <= r.limit ? [texto] : splitMessages(rendered, r.limit, r.lineBreak);
+  return { format, texto, mensagens };
+}
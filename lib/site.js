@@ -0,0 +1,150 @@
+// lib/site.js
+// Páginas HTML do docs/ (generate.js): mensagens com botão de copiar, tabelas que ordenam ao clicar
+// no cabeçalho e listas de links. Tudo num arquivo só (CSS e JS embutidos), sem dependência externa.
+// Também cuida do feed.json (JSON Feed 1.1) e da comparação "mesmo conteúdo" usada para só regravar
+// um arquivo quando os dados mudam: o "Gerado em" e os carimbos ISO não contam como mudança.
+
+const escapeHtml = (t) =>
+  String(t ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// "18/10/2026, 21:40:12" (nowBR) e "2026-10-18T21:40:12.345Z"
+const TIMESTAMPS = [/\d{2}\/\d{2}\/\d{4},? \d{2}:\d{2}:\d{2}/g, /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g];
+
+const withoutTimestamps = (t) => TIMESTAMPS.reduce((acc, re) => acc.replace(re, "…"), String(t ?? ""));
+
+// Mesmo conteúdo a menos dos horários de geração
+export function sameContent(a, b) {
+  return withoutTimestamps(a) === withoutTimestamps(b);
+}
+
+const STYLE = `
+    body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial;padding:18px;max-width:900px;margin:0 auto;color:#1f2933}
+    h2{margin-bottom:4px}
+    section.links a{display:block;margin:10px 0;font-size:16px}
+    section{margin:24px 0}
+    .msg{white-space:pre-wrap;background:#f1f5f3;border-radius:8px;padding:12px;font-family:inherit;font-size:14px;overflow-x:auto}
+    button{font-size:14px;padding:6px 12px;border-radius:6px;border:1px solid #0b6e4f;background:#fff;color:#0b6e4f;cursor:pointer}
+    table{border-collapse:collapse;width:100%;font-size:14px}
+    th,td{padding:6px 8px;border-bottom:1px solid #e5e7eb;text-align:left}
+    th{cursor:pointer;user-select:none;background:#0b6e4f;color:#fff}
+    th[data-ordem=asc]::after{content:" ▲"}
+    th[data-ordem=desc]::after{content:" ▼"}
+    tr:nth-child(even) td{background:#f1f5f3}
+    small{opacity:.7}`;
+
+// Copiar (com fallback para navegador sem clipboard API) e ordenar tabelas: número com vírgula
+// decimal ordena como número, o resto em ordem alfabética; "-" (sem pontos) vai para o fim
+const SCRIPT = `
+  document.querySelectorAll("button[data-copiar]").forEach((b) =>
+    b.addEventListener("click", async () => {
+      const alvo = document.getElementById(b.dataset.copiar);
+      try {
+        await navigator.clipboard.writeText(alvo.innerText);
+      } catch (e) {
+        const range = document.createRange();
+        range.selectNodeContents(alvo);
+        getSelection().removeAllRanges();
+        getSelection().addRange(range);
+        document.execCommand("copy");
+      }
+      b.textContent = "✅ Copiado";
+      setTimeout(() => (b.textContent = "📋 Copiar"), 1500);
+    })
+  );
+  const chave = (td) => {
+    const t = td.textContent.trim();
+    return /^-?\\d+(,\\d+)?$/.test(t) ? Number(t.replace(",", ".")) : t;
+  };
+  const compara = (a, b) =>
+    typeof a === "number" && typeof b === "number" ? a - b : typeof a === "number" ? -1 : typeof b === "number" ? 1 : a.localeCompare(b, "pt-BR");
+  document.querySelectorAll("table.ordenavel th").forEach((th) =>
+    th.addEventListener("click", () => {
+      const tbody = th.closest("table").tBodies[0];
+      const asc = th.dataset.ordem !== "asc";
+      th.parentElement.querySelectorAll("th").forEach((o) => delete o.dataset.ordem);
+      th.dataset.ordem = asc ? "asc" : "desc";
+      const linhas = [...tbody.rows].sort((a, b) => compara(chave(a.cells[th.cellIndex]), chave(b.cells[th.cellIndex])));
+      (asc ? linhas : linhas.reverse()).forEach((tr) => tbody.appendChild(tr));
+    })
+  );`;
+
+function messageSection(m) {
+  const corpo = m.html ? `<div class="msg" id="${m.id}">${m.texto}</div>` : `<pre class="msg" id="${m.id}">${escapeHtml(m.texto)}</pre>`;
+  return `<section>
+  <h3>${escapeHtml(m.titulo)}</h3>
+  <button data-copiar="${m.id}">📋 Copiar</button>${m.arquivo ? ` <a href="./${m.arquivo}">${escapeHtml(m.arquivo)}</a>` : ""}
+  ${corpo}
+</section>`;
+}
+
+function tableSection(t) {
+  const head = t.colunas.map((c) => `<th>${escapeHtml(c.titulo)}</th>`).join("");
+  const rows = t.linhas.map((l) => `<tr>${t.colunas.map((c) => `<td>${escapeHtml(c.valor(l))}</td>`).join("")}</tr>`);
+  return `<section>
+  <h3>${escapeHtml(t.titulo)}</h3>
+  <table class="ordenavel" id="${t.id}">
+    <thead><tr>${head}</tr></thead>
+    <tbody>
+    ${rows.join("\n    ")}
+    </tbody>
+  </table>
+</section>`;
+}
+
+function linksSection(s) {
+  const links = s.links.map((l) => `<a href="${escapeHtml(l.href)}">${escapeHtml(l.label)}</a>`).join("\n  ");
+  if (s.recolhido) return `<section class="links"><details><summary>${escapeHtml(s.titulo)}</summary>\n  ${links}\n  </details></section>`;
+  return `<section class="links">${s.titulo ? `<h3>${escapeHtml(s.titulo)}</h3>\n  ` : ""}${links}</section>`;
+}
+
+/**
+ * Página completa. `mensagens`: [{ id, titulo, texto, html, arquivo }] (`html`: texto já em HTML,
+ * no formato html; senão vai escapado num <pre>); `tabelas`: [{ id, titulo, colunas: [{ titulo, valor }], linhas }];
+ * `secoes`: listas de links [{ titulo, links: [{ href, label }], recolhido }] (seção vazia não aparece).
+ * Sem horário na página: ela só muda quando muda o que está nela.
+ */
+export function sitePage({ titulo, subtitulo = "", secoes = [], mensagens = [], tabelas = [], rodape = "" }) {
+  const partes = [
+    ...secoes.filter((s) => s.links.length).map(linksSection),
+    ...mensagens.map(messageSection),
+    ...tabelas.filter((t) => t.linhas.length).map(tableSection),
+  ];
+  return `<!doctype html>
+<html lang="pt-br">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width,initial-scale=1"/>
+  <title>${escapeHtml(titulo)}</title>
+  <style>${STYLE}
+  </style>
+</head>
+<body>
+<h2>${escapeHtml(titulo)}</h2>
+${subtitulo ? `<small>${escapeHtml(subtitulo)}</small>\n` : ""}${partes.join("\n")}
+${rodape ? `<small>${escapeHtml(rodape)}</small>\n` : ""}<script>${SCRIPT}
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * feed.json (JSON Feed 1.1) a partir do feed anterior e das mensagens desta execução
+ * ([{ id, titulo, texto, html }], `id` = caminho do arquivo no docs/). Mensagem igual à anterior
+ * (fora o horário) mantém o item como estava; nova ou alterada ganha `date_modified` = `agora`.
+ * Itens que não vieram nesta execução (rodadas passadas) ficam, até o limite.
+ */
+export function updateFeed(anterior, mensagens, { titulo, agora, limite = 100 }) {
+  const antigos = new Map((Array.isArray(anterior?.items) ? anterior.items : []).map((i) => [i.id, i]));
+  const atuais = mensagens.map((m) => {
+    const prev = antigos.get(m.id);
+    const campo = m.html ? "content_html" : "content_text";
+    if (prev && prev.title === m.titulo && prev[campo] != null && sameContent(prev[campo], m.texto)) return prev;
+    return { id: m.id, title: m.titulo, [campo]: m.texto, date_published: prev?.date_published ?? agora, date_modified: agora };
+  });
+  const ids = new Set(atuais.map((i) => i.id));
+  const items = [...atuais, ...[...antigos.values()].filter((i) => !ids.has(i.id))]
+    .sort((a, b) => String(b.date_modified).localeCompare(String(a.date_modified)) || a.id.localeCompare(b.id))
+    .slice(0, limite);
+  return { version: "https://jsonfeed.org/version/1.1", title: titulo, items };
+}
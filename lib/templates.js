@@ -0,0 +1,173 @@
+// lib/templates.js
+// Templates de mensagem editáveis (templates/*.txt), no estilo Mustache:
+//   {{campo}} ou {{a.b}}         valor (o "." sozinho é o item atual do loop)
+//   {{#each lista}}...{{/each}}  loop; {{#each lista 4}} limita aos 4 primeiros
+//                                (o limite também pode ser um campo: {{#each ranking premiados}};
+//                                em rankings conta a posição, então empatados no limite entram juntos)
+//   {{#if campo}}...{{else}}...{{/if}} e {{#unless campo}}...{{/unless}}
+//   {{> nome}}                   inclui outro template (ex.: a linha do ranking)
+//   {{! comentário }}
+//   **texto**                    negrito (cada plataforma renderiza do seu jeito, ver lib/render.js)
+// Uma linha que só tem uma tag de bloco ({{#each}}, {{/if}}, ...) não deixa linha em branco.
+//
+// O resultado é uma lista de linhas no formato de lib/render.js. Valores entram sempre como
+// texto puro: um "**" vindo do nome de um time não vira negrito.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Templates que vêm com o projeto e pasta da liga que pode sobrescrever qualquer um deles
+export const DEFAULT_TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "templates");
+export const TEMPLATES_DIR = process.env.CARTOLA_TEMPLATES_DIR || path.join(process.cwd(), "config", "templates");
+
+const TAG = /\{\{\s*([#/>!]?)\s*([^}]*?)\s*\}\}/g;
+// linha que só tem uma tag de bloco: a tag fica, a indentação e a quebra de linha somem
+const BLOCK_ONLY_LINE = /^[ \t]*(\{\{\s*(?:[#/!]|else\b)[^}]*\}\})[ \t]*(?:\r?\n|$)/gm;
+
+function readTemplateFile(file, dirs) {
+  for (const dir of dirs) {
+    const full = path.join(dir, file);
+    if (fs.existsSync(full)) return fs.readFileSync(full, "utf8");
+  }
+  throw new Error(`Template não encontrado: ${file} (procurei em ${dirs.join(", ")})`);
+}
+
+// a quebra de linha final do arquivo não conta (um {{> linha}} no meio da frase não quebra a linha)
+function readTemplate(name, dirs) {
+  return readTemplateFile(`${name}.txt`, dirs).replace(/\r?\n$/, "");
+}
+
+function parse(src, name) {
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const push = (node) => (current().inElse ? current().elseChildren : current().children).push(node);
+
+  const text = src.replace(BLOCK_ONLY_LINE, "$1");
+  let last = 0;
+  for (const m of text.matchAll(TAG)) {
+    if (m.index > last) push({ type: "text", value: text.slice(last, m.index) });
+    last = m.index + m[0].length;
+
+    const [, sigil, body] = m;
+    const [word, ...args] = body.split(/\s+/);
+    if (sigil === "!") continue;
+    if (sigil === ">") push({ type: "partial", name: word });
+    else if (sigil === "#") {
+      if (!["each", "if", "unless"].includes(word)) throw new Error(`${name}: bloco desconhecido {{#${word}}}`);
+      const node = { type: word, name: args[0], limit: args[1], children: [], elseChildren: [] };
+      push(node);
+      stack.push(node);
+    } else if (sigil === "/") {
+      const node = stack.pop();
+      if (!node?.type || node.type !== word) throw new Error(`${name}: {{/${word}}} sem {{#${word}}} correspondente`);
+    } else if (word === "else") {
+      if (stack.length < 2) throw new Error(`${name}: {{else}} fora de bloco`);
+      current().inElse = true;
+    } else push({ type: "var", name: word });
+  }
+  if (last < text.length) push({ type: "text", value: text.slice(last) });
+  if (stack.length > 1) throw new Error(`${name}: {{#${current().type}}} sem fechamento`);
+  return root.children;
+}
+
+function lookup(scopes, name) {
+  if (name === ".") return scopes[scopes.length - 1];
+  const [head, ...rest] = name.split(".");
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope && typeof scope === "object" && head in scope) {
+      return rest.reduce((v, k) => (v == null ? v : v[k]), scope[head]);
+    }
+  }
+  return undefined;
+}
+
+const truthy = (v) => (Array.isArray(v) ? v.length > 0 : Boolean(v));
+
+function evaluate(nodes, scopes, ctx, out) {
+  for (const node of nodes) {
+    if (node.type === "text") out.push({ literal: true, text: node.value });
+    else if (node.type === "var") {
+      const v = lookup(scopes, node.name);
+      if (v != null) out.push({ literal: false, text: String(v) });
+    } else if (node.type === "partial") {
+      evaluate(ctx.compile(node.name), scopes, ctx, out);
+    } else if (node.type === "if" || node.type === "unless") {
+      const cond = truthy(lookup(scopes, node.name));
+      evaluate(cond === (node.type === "if") ? node.children : node.elseChildren, scopes, ctx, out);
+    } else if (node.type === "each") {
+      let list = lookup(scopes, node.name);
+      list = Array.isArray(list) ? list : [];
+      if (node.limit != null) {
+        const limit = Number(/^\d+$/.test(node.limit) ? node.limit : lookup(scopes, node.limit));
+        if (Number.isFinite(limit)) {
+          // em rankings o limite é pela posição: quem divide a última posição entra junto
+          list = list.every((it) => Number.isFinite(it?.pos)) ? list.filter((it) => it.pos <= limit) : list.slice(0, limit);
+        }
+      }
+      if (!list.length) evaluate(node.elseChildren, scopes, ctx, out);
+      list.forEach((item) => evaluate(node.children, [...scopes, item], ctx, out));
+    }
+  }
+  return out;
+}
+
+// Segmentos -> linhas do lib/render.js. "**" só alterna negrito quando vem do template.
+function toLines(segments) {
+  const lines = [[]];
+  let bold = false;
+  const append = (text) => {
+    if (!text) return;
+    const line = lines[lines.length - 1];
+    const prev = line[line.length - 1];
+    const prevBold = typeof prev === "object";
+    if (prev != null && prevBold === bold) {
+      line[line.length - 1] = bold ? { bold: prev.bold + text } : prev + text;
+    } else line.push(bold ? { bold: text } : text);
+  };
+
+  for (const seg of segments) {
+    if (!seg.literal) {
+      seg.text.split("\n").forEach((piece, i) => {
+        if (i) lines.push([]);
+        append(piece);
+      });
+      continue;
+    }
+    const pieces = seg.text.split(/(\n|\*\*)/);
+    for (const piece of pieces) {
+      if (piece === "\n") lines.push([]);
+      else if (piece === "**") bold = !bold;
+      else append(piece);
+    }
+  }
+
+  // linhas em branco no fim da mensagem não contam
+  while (lines.length > 1 && !lines[lines.length - 1].length) lines.pop();
+  return lines.map((l) => (l.length ? l : ""));
+}
+
+/**
+ * Renderiza o template `name` com os dados `data`.
+ * `dirs`: pastas onde procurar, em ordem de prioridade (padrão: pasta da liga, depois a do projeto).
+ * Os arquivos são lidos a cada chamada, então editar um template não exige reiniciar o servidor.
+ */
+export function renderTemplate(name, data, { dirs = [TEMPLATES_DIR, DEFAULT_TEMPLATES_DIR] } = {}) {
+  const parsed = new Map();
+  const ctx = {
+    compile(n) {
+      if (!parsed.has(n)) parsed.set(n, parse(readTemplate(n, dirs), n));
+      return parsed.get(n);
+    },
+  };
+  return toLines(evaluate(ctx.compile(name), [data], ctx, []));
+}
+
+/**
+ * Medalhas por posição (templates/medalhas.json, também sobrescrevível pela liga).
+ */
+export function loadMedals({ dirs = [TEMPLATES_DIR, DEFAULT_TEMPLATES_DIR] } = {}) {
+  const medals = JSON.parse(readTemplateFile("medalhas.json", dirs));
+  return (pos) => medals.posicoes?.[pos - 1] ?? medals.demais ?? "•";
+}
@@ -0,0 +1,108 @@
+// lib/tokens.js
+// Tokens do Cartola (Globo ID / OIDC): guarda access + refresh token em arquivo local
+// e renova o access token quando a API responde 401 "Expired".
+// O arquivo fica fora do git; no GitHub Actions (github/workflows/generate.yml) ele passa de uma
+// execução para a outra pelo cache, cifrado, para não perder um refresh token renovado.
+import fs from "fs";
+import path from "path";
+
+export const TOKEN_FILE = process.env.CARTOLA_TOKEN_FILE || path.join(process.cwd(), "data", "tokens.json");
+
+// Endpoint de renovação (configurável para testar contra um stub local)
+const TOKEN_URL =
+  process.env.CARTOLA_TOKEN_URL || "https://goidc.globo.com/auth/realms/globo.com/protocol/openid-connect/token";
+const CLIENT_ID = process.env.CARTOLA_CLIENT_ID || "cartola-web@apps.globoid";
+
+let tokens = { accessToken: "", refreshToken: "" };
+let refreshing = null;
+
+function readTokenFile() {
+  try {
+    return JSON.parse(fs.readFileSync(TOKEN_FILE, "utf8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeTokenFile() {
+  fs.mkdirSync(path.dirname(TOKEN_FILE), { recursive: true });
+  fs.writeFileSync(TOKEN_FILE, JSON.stringify(tokens, null, 2), { encoding: "utf8", mode: 0o600 });
+}
+
+/**
+ * Carrega os tokens. O arquivo local (tokens já renovados) tem prioridade sobre o env,
+ * a não ser que o refresh token do env tenha mudado desde que o arquivo foi criado
+ * (admin colocou um token novo no deploy).
+ */
+export function initTokens({ accessToken = "", refreshToken = "" } = {}) {
+  const saved = readTokenFile();
+  if (saved && (!refreshToken || saved.seedRefreshToken === refreshToken)) {
+    tokens = { ...saved };
+  } else {
+    tokens = { accessToken, refreshToken, seedRefreshToken: refreshToken, renovadoEm: null };
+  }
+  return tokenStatus();
+}
+
+export function getAccessToken() {
+  return tokens.accessToken || "";
+}
+
+export function canRefresh() {
+  return Boolean(tokens.refreshToken);
+}
+
+export function tokenStatus() {
+  return {
+    accessToken: Boolean(tokens.accessToken),
+    refreshToken: Boolean(tokens.refreshToken),
+    renovadoEm: tokens.renovadoEm || null,
+  };
+}
+
+async function requestNewToken() {
+  const body = new URLSearchParams({
+    grant_type: "refresh_token",
+    refresh_token: tokens.refreshToken,
+    client_id: CLIENT_ID,
+  });
+  const res = await fetch(TOKEN_URL, {
+    method: "POST",
+    headers: { "content-type": "application/x-www-form-urlencoded", accept: "application/json" },
+    body,
+  });
+  const text = await res.text();
+  if (!res.ok) {
+    const err = new Error(`Falha ao renovar token (HTTP ${res.status})\n${text.slice(0, 300)}`);
+    err.status = res.status;
+    err.body = text;
+    throw err;
+  }
+
+  const data = JSON.parse(text);
+  if (!data?.access_token) throw new Error("Falha ao renovar token: resposta sem access_token");
+
+  tokens = {
+    ...tokens,
+    accessToken: data.access_token,
+    // alguns provedores giram o refresh token a cada uso
+    refreshToken: data.refresh_token || tokens.refreshToken,
+    renovadoEm: new Date().toISOString(),
+  };
+  writeTokenFile();
+  return tokens.accessToken;
+}
+
+/**
+ * Troca o refresh token por um novo access token e salva no arquivo local.
+ * Chamadas simultâneas compartilham a mesma renovação.
+ */
+export async function refreshAccessToken() {
+  if (!canRefresh()) throw new Error("Sem refresh token configurado (CARTOLA_REFRESH_TOKEN)");
+  if (!refreshing) {
+    refreshing = requestNewToken().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
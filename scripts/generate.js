@@ -1,13 +1,58 @@
-'use strict';
-
-const fs = require('fs');
-const path = require('path');
+import fs from 'fs';
+import path from 'path';
+import {
+  ensureRounds,
+  lastScoredRound,
+  recordFromLeague,
+  roundRange,
+  saveHistory,
+  sumRounds
+} from '../lib/historico.js';
+import { fetchAllLeaguePages, pagingWarning } from '../lib/liga.js';
+import { pickCompetition, tiebreakersFor } from '../lib/competicoes.js';
+import { reportTemplateData, teamReport } from '../lib/boletim.js';
+import { ensureLineups, lineupStats, lineupTemplateData, saveLineups, storeLineup } from '../lib/escalacoes.js';
+import { CSV_DECIMALS, monthlyCsv, overallCsv, seasonCsv } from '../lib/planilha.js';
+import { monthlyCard, overallCard, roundCard, svgToPng } from '../lib/cards.js';
+import { cupBracket, cupTemplateData } from '../lib/copa.js';
+import { ledgerTemplateData, prizeLedger } from '../lib/premios.js';
+import { biggestMoves, countedRounds, movementSinceLastRound, rankWithTies, topWithTies } from '../lib/ranking.js';
+import { prizeRanking, startRound, visibleTeams, withEligibility } from '../lib/elegibilidade.js';
+import { loadLeagues } from '../lib/ligas.js';
+import { API_MODE, CARTOLA_API, readFixture, recordFixture } from '../lib/fixtures.js';
+import { canRefresh, getAccessToken, initTokens, refreshAccessToken } from '../lib/tokens.js';
+import { FORMATS, isFormat, renderMessage } from '../lib/render.js';
+import { renderTemplate } from '../lib/templates.js';
+import { sameContent, sitePage, updateFeed } from '../lib/site.js';
 
 const LEAGUE_SLUG = process.env.CARTOLA_LEAGUE_SLUG || 'show-de-bola-araca-f-c';
-const PREMIADOS_TOP = Number(process.env.PREMIADOS_TOP || '4');
+
+// `npm run backfill` => refaz o histórico local de todas as rodadas já pontuadas
+const BACKFILL = process.argv.includes('--backfill');
+
+// `--format=telegram` (ou MESSAGE_FORMAT): whatsapp|telegram|discord|plain|html|markdown
+const FORMAT = (process.argv.find(a => a.startsWith('--format='))?.split('=')[1] || process.env.MESSAGE_FORMAT || 'plain').toLowerCase();
+if (!isFormat(FORMAT)) {
+  console.error(`ERRO: formato desconhecido "${FORMAT}" (use ${FORMATS.join(', ')})`);
+  process.exit(1);
+}
+const DOC_EXT = FORMAT === 'html' ? 'html' : FORMAT === 'markdown' ? 'md' : 'txt';
+
+// planilhas CSV: vírgula decimal (padrão) ou `--decimal=ponto` (ou CSV_DECIMAL)
+const DECIMAL = (process.argv.find(a => a.startsWith('--decimal='))?.split('=')[1] || process.env.CSV_DECIMAL || 'virgula').toLowerCase();
+if (!CSV_DECIMALS.includes(DECIMAL)) {
+  console.error(`ERRO: decimal desconhecido "${DECIMAL}" (use ${CSV_DECIMALS.join(', ')})`);
+  process.exit(1);
+}
+
+// `--png` (ou CARDS_PNG=1): os cards em PNG são obrigatórios e falhar em gerar um é erro;
+// sem isso, o PNG só sai quando o renderizador (@resvg/resvg-js) está instalado
+const PNG_REQUIRED = process.argv.includes('--png') || ['1', 'true'].includes(String(process.env.CARDS_PNG || '').toLowerCase());
 
 // Opcional (contingência): Bearer do DevTools (expira)
 const CARTOLA_BEARER = process.env.CARTOLA_BEARER || '';
+// Refresh token: renova o Bearer sozinho quando vier 401 (tokens renovados em data/tokens.json)
+initTokens({ accessToken: CARTOLA_BEARER, refreshToken: process.env.CARTOLA_REFRESH_TOKEN || '' });
 
 // Headers “fixos” que você mostrou
 const BASE_HEADERS = {
@@ -21,24 +66,16 @@ const BASE_HEADERS = {
   'x-glb-tag': process.env.CARTOLA_GLB_TAG || ''
 };
 
-const MONTH_BLOCKS = [
-  { label: 'Rodadas 1 a 4 (jan/fev)', start: 1, end: 4 },
-  { label: 'Rodadas 5 a 8 (mar)', start: 5, end: 8 },
-  { label: 'Rodadas 9 a 13 (abr)', start: 9, end: 13 },
-  { label: 'Rodadas 14 a 18 (mai)', start: 14, end: 18 },
-  { label: 'Rodadas 19 a 21 (jul)', start: 19, end: 21 },
-  { label: 'Rodadas 22 a 25 (ago)', start: 22, end: 25 },
-  { label: 'Rodadas 26 a 28 (set)', start: 26, end: 28 },
-  { label: 'Rodadas 29 a 33 (out)', start: 29, end: 33 },
-  { label: 'Rodadas 34 a 38 (nov/dez)', start: 34, end: 38 }
-];
+// ligas do deploy (config/ligas.json; sem ele, só CARTOLA_LEAGUE_SLUG), cada uma com a sua
+// temporada (blocos mensais com nº de premiados, copa...) e os seus templates — lib/ligas.js
+const LEAGUES = loadLeagues(LEAGUE_SLUG);
 
 function nowBR() {
   return new Date().toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
 }
 
-function getMonthBlock(rodadaAtual) {
-  return MONTH_BLOCKS.find(b => rodadaAtual >= b.start && rodadaAtual <= b.end) || MONTH_BLOCKS[0];
+function getMonthBlock(cfg, rodadaAtual) {
+  return pickCompetition(cfg.season, 'mensal', rodadaAtual);
 }
 
 function fmt(n) {
@@ -46,13 +83,17 @@ function fmt(n) {
   return Number(n).toFixed(2).replace('.', ',');
 }
 
-async function fetchJson(url, { useAuth = false } = {}) {
+// `pathname`: caminho na API (base em CARTOLA_API_URL); com CARTOLA_API_MODE=replay lê a fixture
+// gravada e com record grava a resposta (lib/fixtures.js)
+async function fetchJson(pathname, { useAuth = false } = {}) {
+  if (API_MODE === 'replay') return readFixture(pathname);
+  const url = `${CARTOLA_API}${pathname}`;
   const headers = { ...BASE_HEADERS };
   // só adiciona tag se existir
   if (!headers['x-glb-tag']) delete headers['x-glb-tag'];
 
-  if (useAuth && CARTOLA_BEARER) {
-    headers['authorization'] = `Bearer ${CARTOLA_BEARER}`;
+  if (useAuth && getAccessToken()) {
+    headers['authorization'] = `Bearer ${getAccessToken()}`;
   }
 
   const res = await fetch(url, { headers });
@@ -64,180 +105,565 @@ async function fetchJson(url, { useAuth = false } = {}) {
     err.body = text;
     throw err;
   }
-  return JSON.parse(text);
+  const data = JSON.parse(text);
+  recordFixture(pathname, data);
+  return data;
 }
 
 // tenta público -> se falhar, tenta autenticado
-async function fetchSmart(url) {
+async function fetchSmart(pathname) {
   try {
-    return await fetchJson(url, { useAuth: false });
+    return await fetchJson(pathname, { useAuth: false });
   } catch (e) {
     // 401/403 costuma indicar que exigiu auth
-    if ((e.status === 401 || e.status === 403) && CARTOLA_BEARER) {
-      return await fetchJson(url, { useAuth: true });
+    if ((e.status === 401 || e.status === 403) && (getAccessToken() || canRefresh())) {
+      return await fetchAuth(pathname);
     }
     throw e;
   }
 }
 
-function line(pos, timeNome, cartoleiro, pontos) {
-  return `${String(pos).padStart(2, '0')}) ${timeNome} (${cartoleiro}) — ${fmt(pontos)} pts`;
+// autenticado -> se o token expirou (401), renova com o refresh token e tenta de novo uma vez
+async function fetchAuth(pathname) {
+  try {
+    return await fetchJson(pathname, { useAuth: true });
+  } catch (e) {
+    if (e.status === 401 && canRefresh()) {
+      await refreshAccessToken();
+      return await fetchJson(pathname, { useAuth: true });
+    }
+    throw e;
+  }
 }
 
-function textHeader(ligaNome) {
-  return `🏆 ${ligaNome}\n🕒 Gerado em ${nowBR()}\n`;
+// pontos de cada rodada pedida de um time: /time/id/{id}/{rodada}
+// (null = não pontuou: sem escalação ou 404; fica registrado no histórico e não é buscado de novo).
+// A mesma resposta traz a escalação: já vai para data/escalacoes.json, e o ensureLineups não pede de novo.
+async function fetchTeamRounds(timeId, rodadas) {
+  const out = {};
+  let escalacoes = 0;
+  try {
+    for (const r of rodadas) {
+      try {
+        const data = await fetchSmart(`/time/id/${timeId}/${r}`);
+        out[r] = data?.pontos != null ? Number(data.pontos) : null;
+        if (storeLineup(timeId, r, data)) escalacoes++;
+      } catch (e) {
+        if (e.status !== 404) throw e;
+        out[r] = null;
+      }
+    }
+  } finally {
+    if (escalacoes) saveLineups();
+  }
+  return out;
 }
 
-function buildRodadaMsg(ligaNome, rodadaAtual, times) {
-  // se ainda sem pontos, vai tudo null
-  const list = [...times].sort((a, b) => {
-    const av = a?.ranking?.rodada ?? 999999;
-    const bv = b?.ranking?.rodada ?? 999999;
-    return av - bv;
-  });
-
-  let out = `${textHeader(ligaNome)}\n📊 RANKING DA RODADA ${rodadaAtual}\n\n`;
-
-  if (list.every(t => t?.pontos?.rodada == null)) {
-    out += `Ainda sem pontuação de rodada (normal antes do fechamento/apuração).\n`;
-  } else {
-    list.forEach((t, i) => {
-      out += line(i + 1, t.nome.trim(), t.nome_cartola.trim(), t.pontos.rodada) + '\n';
-    });
-  }
+// escalação de um time numa rodada que não veio junto com os pontos (rodada que o histórico já tinha):
+// /time/id/{id}/{rodada}, guardada em data/escalacoes.json
+function fetchLineup(timeId, rodada) {
+  return fetchSmart(`/time/id/${timeId}/${rodada}`);
+}
 
-  out += `\n👥 Participantes (${times.length})\n`;
+// soma do histórico por time, só das rodadas a partir do "inicio" do time (lib/elegibilidade.js);
+// se incompleto, usa o fallback (ex.: pontos.campeonato da liga); quem ainda não começou a contar fica null
+function totalsFromHistory(cfg, times, rodadas, fallback = () => null) {
+  const inicio = startRound(cfg.season);
+  const totals = new Map();
   times.forEach(t => {
-    out += `• ${t.nome.trim()} — ${t.nome_cartola.trim()}\n`;
+    const conta = countedRounds(t.time_id, rodadas, inicio);
+    if (rodadas.length && !conta.length) return totals.set(t.time_id, null);
+    const soma = sumRounds(t.time_id, conta);
+    totals.set(t.time_id, soma.completo && rodadas.length ? soma.total : fallback(t));
   });
+  return totals;
+}
 
-  return out.trim();
+// ranking com empates/desempates (lib/ranking.js) em linhas para os templates (templates/arquivo-linha.txt),
+// com a marca de elegibilidade de cada time (lib/elegibilidade.js)
+// (`decorate` recebe o ranking antes da formatação, ex.: para as setas de movimento)
+function rankedRows(cfg, times, pontosOf, opts, decorate = ranked => ranked) {
+  const entries = times.map(t => ({ time_id: t.time_id, time: t.nome.trim(), cartoleiro: t.nome_cartola.trim(), pontos: pontosOf(t) }));
+  return withEligibility(cfg.season, decorate(rankWithTies(entries, opts))).map(r => ({
+    ...r,
+    pos2: String(r.pos).padStart(2, '0'),
+    pontos: fmt(r.pontos)
+  }));
 }
 
-function buildGeralMsg(ligaNome, rodadaAtual, times) {
-  const list = [...times].sort((a, b) => {
-    const av = a?.ranking?.campeonato ?? 999999;
-    const bv = b?.ranking?.campeonato ?? 999999;
-    return av - bv;
-  });
+// liga: { nome, carregados, totalLiga } — avisa quando nem todos os times vieram
+// (os textos vêm de templates/arquivo-*.txt; o formato final sai de lib/render.js)
+function headerData(liga) {
+  const aviso = pagingWarning(liga.carregados, liga.totalLiga);
+  return { liga: liga.nome, geradoEm: nowBR(), avisos: aviso ? [aviso] : [] };
+}
 
-  let out = `${textHeader(ligaNome)}\n🏁 RANKING GERAL (Rodadas 1 até ${rodadaAtual})\n\n`;
+// `cfg`: a liga de lib/ligas.js (temporada e pastas de templates)
+function render(cfg, name, data) {
+  return renderTemplate(name, data, { dirs: cfg.templateDirs });
+}
 
-  if (list.every(t => t?.pontos?.campeonato == null)) {
-    out += `Ainda sem ranking geral (vai aparecer após fechar rodadas).\n`;
-  } else {
-    list.forEach((t, i) => {
-      out += line(i + 1, t.nome.trim(), t.nome_cartola.trim(), t.pontos.campeonato) + '\n';
-    });
-  }
+function buildRodadaMsg(cfg, liga, rodadaAtual, times, ultimaPontuada) {
+  // se ainda sem pontos, vai tudo null
+  return render(cfg, 'arquivo-rodada', {
+    ...headerData(liga),
+    rodada: rodadaAtual,
+    semPontos: times.every(t => t?.pontos?.rodada == null),
+    ranking: rankedRows(cfg, times, t => t?.pontos?.rodada ?? null, { desempate: tiebreakersFor(cfg.season), rodadas: [ultimaPontuada] }),
+    participantes: times.map(t => ({ time: t.nome.trim(), cartoleiro: t.nome_cartola.trim() }))
+  });
+}
 
-  return out.trim();
+// ranking geral (templates/arquivo-geral-ranking.txt, reaproveitado no mensal), com ↑/↓ em relação
+// à rodada anterior; a classificação desta rodada fica salva no histórico para a próxima execução
+function geralData(cfg, times, totals, rodadas) {
+  const desempate = tiebreakersFor(cfg.season);
+  const semPontos = times.every(t => totals.get(t.time_id) == null);
+  const inicio = startRound(cfg.season);
+  const ranking = rankedRows(cfg, times, t => totals.get(t.time_id), { desempate, rodadas }, ranked =>
+    semPontos ? ranked : movementSinceLastRound(ranked, rodadas.length, { liga: cfg.slug, desempate, inicio })
+  );
+  const { subidas, quedas } = biggestMoves(ranking);
+  return {
+    semPontos,
+    ranking,
+    movimentos: subidas.length || quedas.length ? { subidas, quedas } : null
+  };
 }
 
-function buildMensalMsg(ligaNome, rodadaAtual, monthBlock, times) {
-  // OBS: O JSON atual vem com pontos.mes/ranking.mes (pode ou não refletir seu “mensal personalizado”).
-  // Então: enquanto o Cartola não der “mes” alinhado ao seu calendário, aqui vamos:
-  // 1) Exibir o “mensal oficial” se existir (pontos.mes)
-  // 2) E manter pronto para “mensal personalizado por somatório” (fase 2, usando time/id/{id}/{rodada})
+// `premiacao`: livro-caixa da temporada já formatado (templates/premiacao.txt), null sem premiação
+function buildGeralMsg(cfg, liga, rodadaAtual, times, totals, rodadas, premiacao) {
+  const geral = geralData(cfg, times, totals, rodadas);
+  return render(cfg, 'arquivo-geral', { ...headerData(liga), rodada: rodadaAtual, geral, movimentos: geral.movimentos, premiacao });
+}
 
-  const listMes = [...times].sort((a, b) => {
-    const av = a?.ranking?.mes ?? 999999;
-    const bv = b?.ranking?.mes ?? 999999;
-    return av - bv;
+function buildMensalMsg(cfg, liga, rodadaAtual, monthBlock, times, mensal, geral, premiacao) {
+  // “Mensal personalizado”: soma das rodadas do bloco a partir do histórico local
+  // (data/historico.json), buscando na API só as rodadas que ainda faltam.
+  const ranking = rankedRows(cfg, times, t => mensal.totals.get(t.time_id), {
+    desempate: tiebreakersFor(cfg.season, monthBlock),
+    rodadas: mensal.rodadas
+  });
+  return render(cfg, 'arquivo-mensal', {
+    ...headerData(liga),
+    rodada: rodadaAtual,
+    bloco: monthBlock,
+    semPontos: times.every(t => mensal.totals.get(t.time_id) == null),
+    ranking,
+    // TOP N entre quem pode levar prêmio; as posições premiadas passam adiante
+    premiados: prizeRanking(cfg.season, ranking.filter(r => r.pontos !== '-'), monthBlock.premiados),
+    geral: geralData(cfg, times, geral.totals, geral.rodadas),
+    premiacao
   });
+}
+
+// copa mata-mata (templates/copa.txt, o mesmo do /copa do servidor)
+function buildCopaMsg(cfg, liga, copa) {
+  return render(cfg, 'copa', { ...headerData(liga), ...cupTemplateData(copa, fmt) });
+}
 
-  let out = `${textHeader(ligaNome)}\n📅 MENSAL PERSONALIZADO: ${monthBlock.label}\n🏅 Premiados (TOP ${PREMIADOS_TOP})\n\n`;
-
-  if (listMes.every(t => t?.pontos?.mes == null)) {
-    out += `Ainda sem pontos do mês no Cartola (normal antes do início/apuração).\n\n`;
-    out += `✅ Assim que houver pontuação, eu gero TOP ${PREMIADOS_TOP} e o ranking completo.\n`;
-  } else {
-    const top = listMes.slice(0, PREMIADOS_TOP);
-    top.forEach((t, i) => {
-      out += `${i + 1}. ${t.nome.trim()} — ${fmt(t.pontos.mes)} pts\n`;
-    });
-
-    out += `\n📊 Classificação mensal (todos)\n`;
-    listMes.forEach((t, i) => {
-      out += line(i + 1, t.nome.trim(), t.nome_cartola.trim(), t.pontos.mes) + '\n';
-    });
+// escalações da última rodada pontuada (templates/escalacoes.txt, o mesmo do /escalacoes do servidor)
+async function buildEscalacoesMsg(cfg, liga, times, ultimaPontuada) {
+  const header = headerData(liga);
+  if (ultimaPontuada >= 1) {
+    const { failures } = await ensureLineups(times, ultimaPontuada, fetchLineup);
+    failures.forEach(f => console.warn(`AVISO: time ${f.time_id} sem escalação da rodada ${ultimaPontuada} (${f.error})`));
+    if (failures.length) header.avisos.push(`⚠️ ${failures.length} time(s) sem escalação carregada.`);
   }
+  return render(cfg, 'escalacoes', { ...header, ...lineupTemplateData(lineupStats(times, ultimaPontuada), fmt) });
+}
 
-  out += `\n\n🏁 Geral (1 até ${rodadaAtual})\n`;
-  out += buildGeralMsg(ligaNome, rodadaAtual, times).split('\n').slice(3).join('\n'); // reaproveita sem cabeçalho
+// boletim de cada participante (templates/time.txt, o mesmo do /time/:id do servidor) em docs/times/<id>
+function buildTimeMsgs(cfg, liga, times, ultimaPontuada) {
+  const files = {};
+  for (const t of times) {
+    const boletim = teamReport(times, t.time_id, ultimaPontuada, cfg.season);
+    files[`times/${t.time_id}.${DOC_EXT}`] = renderDoc(render(cfg, 'time', { ...headerData(liga), ...reportTemplateData(boletim, fmt) }));
+  }
+  return files;
+}
 
-  return out.trim();
+// planilhas CSV (lib/planilha.js, as mesmas do /export/*.csv do servidor) com colunas em ordem fixa
+function buildCsvs(cfg, times, monthBlock, mensal, geral, ultimaPontuada) {
+  const entries = totals => times.map(t => ({ time_id: t.time_id, time: t.nome.trim(), cartoleiro: t.nome_cartola.trim(), pontos: totals.get(t.time_id) }));
+  const ranked = (lista, opts) => withEligibility(cfg.season, rankWithTies(lista, opts));
+  const opts = { decimal: DECIMAL };
+  return {
+    'temporada.csv': seasonCsv(times, ultimaPontuada, cfg.season, opts),
+    'geral.csv': overallCsv(ranked(entries(geral.totals), { desempate: tiebreakersFor(cfg.season), rodadas: geral.rodadas }), opts),
+    'mensal.csv': monthlyCsv(
+      monthBlock,
+      ranked(entries(mensal.totals).filter(e => e.pontos != null), {
+        desempate: tiebreakersFor(cfg.season, monthBlock),
+        rodadas: mensal.rodadas
+      }),
+      opts
+    )
+  };
 }
 
-function writeDocs(files) {
-  const docsDir = path.join(process.cwd(), 'docs');
-  if (!fs.existsSync(docsDir)) fs.mkdirSync(docsDir);
+// cards em imagem (lib/cards.js, os mesmos do /rodada.svg, /geral.png... do servidor): SVG sempre,
+// PNG quando o renderizador (@resvg/resvg-js) está instalado (obrigatório com --png)
+async function buildCards(cfg, liga, rodadaAtual, monthBlock, times, mensal, geral, ultimaPontuada) {
+  const geradoEm = nowBR();
+  const comPontos = pontosOf => times.filter(t => pontosOf(t) != null);
+  const rodadaOf = t => t?.pontos?.rodada ?? null;
+  const mensalOf = t => mensal.totals.get(t.time_id);
+
+  const svgs = {
+    rodada: roundCard({
+      liga: liga.nome,
+      rodada: rodadaAtual,
+      linhas: topWithTies(rankedRows(cfg, comPontos(rodadaOf), rodadaOf, { desempate: tiebreakersFor(cfg.season), rodadas: [ultimaPontuada] }), 10),
+      geradoEm
+    }),
+    geral: overallCard({
+      liga: liga.nome,
+      rodada: rodadaAtual,
+      linhas: geralData(cfg, times, geral.totals, geral.rodadas).ranking.filter(r => r.pontos !== '-'),
+      geradoEm
+    }),
+    mensal: monthlyCard({
+      liga: liga.nome,
+      competicao: monthBlock,
+      linhas: prizeRanking(
+        cfg.season,
+        rankedRows(cfg, comPontos(mensalOf), mensalOf, { desempate: tiebreakersFor(cfg.season, monthBlock), rodadas: mensal.rodadas }),
+        monthBlock.premiados
+      ),
+      geradoEm
+    })
+  };
+
+  const files = {};
+  for (const [nome, svg] of Object.entries(svgs)) {
+    files[`${nome}.svg`] = svg;
+    try {
+      files[`${nome}.png`] = await svgToPng(svg);
+    } catch (e) {
+      if (PNG_REQUIRED) throw new Error(`${nome}.png não gerado (${e.message})`);
+      console.warn(`AVISO: ${nome}.png não gerado (${e.message})`);
+    }
+  }
+  return files;
+}
+
+// mensagens acima do limite da plataforma ficam no mesmo arquivo, separadas por uma linha de corte
+function renderDoc(lines) {
+  const separator = FORMAT === 'html' ? '\n<hr>\n' : '\n\n✂️ ───────────\n\n';
+  return renderMessage(lines, FORMAT).mensagens.join(separator);
+}
 
+// `dir`: subpasta de docs/ (cada liga tem a sua quando o deploy serve mais de uma)
+// Só grava o que mudou de verdade (lib/site.js: o horário de geração não conta; o PNG segue o seu SVG),
+// para o commit diário ficar vazio quando os dados não mudam. Devolve quantos arquivos foram gravados.
+function writeDocs(files, dir = '') {
+  const docsDir = path.join(process.cwd(), 'docs', dir);
+  fs.mkdirSync(docsDir, { recursive: true });
+
+  const unchanged = name => {
+    const file = path.join(docsDir, name);
+    if (!fs.existsSync(file)) return false;
+    const content = files[name];
+    if (!Buffer.isBuffer(content)) return sameContent(fs.readFileSync(file, 'utf8'), content);
+    const svg = name.replace(/\.png$/, '.svg');
+    return typeof files[svg] === 'string' ? unchanged(svg) : content.equals(fs.readFileSync(file));
+  };
+  const keep = new Set(Object.keys(files).filter(unchanged));
+
+  let written = 0;
   for (const [name, content] of Object.entries(files)) {
+    if (keep.has(name)) continue;
+    // alguns arquivos ficam em subpastas (times/<id>.txt, rodadas/<n>/...)
+    fs.mkdirSync(path.dirname(path.join(docsDir, name)), { recursive: true });
     fs.writeFileSync(path.join(docsDir, name), content, 'utf8');
+    written++;
   }
+  return written;
 }
 
-function htmlIndex() {
-  return `<!doctype html>
-<html lang="pt-br">
-<head>
-  <meta charset="utf-8"/>
-  <meta name="viewport" content="width=device-width,initial-scale=1"/>
-  <title>Cartola — Mensagens</title>
-  <style>
-    body{font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial;padding:18px;max-width:900px;margin:0 auto}
-    a{display:block;margin:10px 0;font-size:16px}
-    small{opacity:.7}
-  </style>
-</head>
-<body>
-  <h2>Cartola — Mensagens prontas</h2>
-  <a href="./rodada.txt">📊 Rodada (texto)</a>
-  <a href="./mensal.txt">📅 Mensal (texto)</a>
-  <a href="./geral.txt">🏁 Geral (texto)</a>
-  <a href="./status.json">🔧 Status (JSON)</a>
-  <small>Abra um arquivo .txt, copie e cole no grupo.</small>
-</body>
-</html>`;
+// rodadas já arquivadas em docs/<dir>/rodadas/ (mais a atual), da mais recente para a mais antiga
+function archivedRounds(dir, atual) {
+  const rodadasDir = path.join(process.cwd(), 'docs', dir, 'rodadas');
+  const salvas = fs.existsSync(rodadasDir) ? fs.readdirSync(rodadasDir).filter(n => /^\d+$/.test(n)).map(Number) : [];
+  return [...new Set([...salvas, ...(atual >= 1 ? [atual] : [])])].sort((a, b) => b - a);
 }
 
-(async () => {
-  // 1) status do mercado (rodada atual)
-  const status = await fetchSmart('https://api.cartola.globo.com/mercado/status');
+function readFeed(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(process.cwd(), 'docs', dir, 'feed.json'), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// mensagens para as páginas (lib/site.js): botão de copiar e link para o arquivo
+function pageMessages(mensagens) {
+  return mensagens.map(m => ({ id: `msg-${m.nome}`, titulo: `${m.icone} ${m.titulo}`, texto: m.texto, html: FORMAT === 'html', arquivo: `${m.nome}.${DOC_EXT}` }));
+}
+
+// `files`: o que foi gerado para a liga (os links opcionais só aparecem se o arquivo existe);
+// `pagina`: { mensagens, tabelas } da liga; `boletins`: [{ id, nome }] dos participantes (docs/times/<id>);
+// `rodadas`: rodadas arquivadas (docs/rodadas/<n>/); `ligas`: outras ligas do deploy (links para docs/<slug>/),
+// só no índice da raiz
+function htmlIndex(nome, files, pagina, boletins, rodadas, ligas = []) {
+  const card = (arquivo, label) => {
+    const file = [`${arquivo}.png`, `${arquivo}.svg`].find(f => files[f]);
+    return file ? [{ href: `./${file}`, label: `🖼️ ${label} (${file.split('.')[1].toUpperCase()})` }] : [];
+  };
+  return sitePage({
+    titulo: 'Cartola — Mensagens prontas',
+    subtitulo: nome,
+    secoes: [
+      {
+        links: [
+          ...pagina.mensagens.map(m => ({ href: `./${m.nome}.${DOC_EXT}`, label: `${m.icone} ${m.titulo} (${FORMAT})` })),
+          ...card('rodada', 'Card da rodada'),
+          ...card('mensal', 'Card do mês'),
+          ...card('geral', 'Card da geral'),
+          { href: './temporada.csv', label: '📑 Planilha da temporada (CSV)' },
+          { href: './geral.csv', label: '📑 Planilha da geral (CSV)' },
+          { href: './mensal.csv', label: '📑 Planilha do mensal (CSV)' },
+          { href: './feed.json', label: '📰 Feed das mensagens (JSON)' },
+          { href: './status.json', label: '🔧 Status (JSON)' }
+        ]
+      },
+      { titulo: '🗂️ Arquivo das rodadas', links: rodadas.map(n => ({ href: `./rodadas/${n}/index.html`, label: `Rodada ${n}` })), recolhido: true },
+      { titulo: '👤 Boletim de cada participante', links: boletins.map(b => ({ href: `./times/${b.id}.${DOC_EXT}`, label: b.nome })), recolhido: true },
+      { titulo: 'Ligas', links: ligas.map(l => ({ href: `./${l.slug}/index.html`, label: `🏆 ${l.nome}` })) }
+    ],
+    mensagens: pageMessages(pagina.mensagens),
+    tabelas: pagina.tabelas,
+    rodape: `Copie a mensagem pelo botão (ou abra o arquivo .${DOC_EXT}) e cole no grupo. Clique no cabeçalho de uma tabela para ordenar.`
+  });
+}
+
+// classificações da rodada, do mês e da geral para as tabelas das páginas (ordenáveis no navegador)
+function buildTables(cfg, times, monthBlock, mensal, geral, ultimaPontuada) {
+  const colunas = [
+    { titulo: 'Pos', valor: r => r.pos },
+    { titulo: 'Time', valor: r => r.time },
+    { titulo: 'Cartoleiro', valor: r => r.cartoleiro },
+    { titulo: 'Pontos', valor: r => r.pontos }
+  ];
+  const obs = { titulo: 'Obs.', valor: r => r.elegibilidade || '' };
+  return [
+    {
+      id: 'tabela-rodada',
+      titulo: `Rodada ${ultimaPontuada}`,
+      colunas,
+      linhas: ultimaPontuada >= 1
+        ? rankedRows(cfg, times, t => t?.pontos?.rodada ?? null, { desempate: tiebreakersFor(cfg.season), rodadas: [ultimaPontuada] })
+        : []
+    },
+    {
+      id: 'tabela-mensal',
+      titulo: monthBlock.label,
+      colunas: [...colunas, obs],
+      linhas: rankedRows(cfg, times, t => mensal.totals.get(t.time_id), { desempate: tiebreakersFor(cfg.season, monthBlock), rodadas: mensal.rodadas })
+    },
+    {
+      id: 'tabela-geral',
+      titulo: 'Classificação geral',
+      colunas: [...colunas, { titulo: 'Mov.', valor: r => r.movimento || '' }, obs],
+      linhas: geralData(cfg, times, geral.totals, geral.rodadas).ranking
+    }
+  ];
+}
+
+// arquivo da rodada (docs/rodadas/<n>/): mensagens, planilhas e página como estavam com a rodada n
+// como a última pontuada. Só a rodada atual é regravada; as anteriores ficam como foram gravadas.
+function buildArchive(liga, rodada, pagina, csvs) {
+  const dir = `rodadas/${rodada}`;
+  return {
+    ...Object.fromEntries(pagina.mensagens.map(m => [`${dir}/${m.nome}.${DOC_EXT}`, m.texto])),
+    [`${dir}/geral.csv`]: csvs['geral.csv'],
+    [`${dir}/mensal.csv`]: csvs['mensal.csv'],
+    [`${dir}/index.html`]: sitePage({
+      titulo: `${liga.nome} — Rodada ${rodada}`,
+      secoes: [{ links: [{ href: '../../index.html', label: '← Mensagens de hoje' }] }],
+      mensagens: pageMessages(pagina.mensagens),
+      tabelas: pagina.tabelas
+    })
+  };
+}
+
+/**
+ * Uma liga: busca os times, completa o histórico e monta os arquivos de docs/.
+ * Devolve { nome, files } (ou null no backfill, que só refaz o histórico).
+ */
+async function generateLeague(cfg, status) {
   const rodadaAtual = status.rodada_atual || 1;
 
-  // 2) liga (com times + rankings/pontos quando existirem)
-  // preferimos /auth/liga (igual ao seu)
-  const ligaData = await fetchSmart(`https://api.cartola.globo.com/auth/liga/${LEAGUE_SLUG}?orderBy=campeonato&page=1`);
+  // liga (com times + rankings/pontos quando existirem)
+  // preferimos /auth/liga (igual ao seu); junta todas as páginas sem duplicar times
+  const ligaData = await fetchAllLeaguePages(page =>
+    fetchSmart(`/auth/liga/${cfg.slug}?orderBy=campeonato&page=${page}`)
+  );
 
   const ligaNome = ligaData?.liga?.nome || 'Liga';
-  const times = ligaData?.times || [];
-  const monthBlock = getMonthBlock(rodadaAtual);
-
-  const rodadaMsg = buildRodadaMsg(ligaNome, rodadaAtual, times);
-  const geralMsg = buildGeralMsg(ligaNome, rodadaAtual, times);
-  const mensalMsg = buildMensalMsg(ligaNome, rodadaAtual, monthBlock, times);
-
-  writeDocs({
-    'index.html': htmlIndex(),
-    'rodada.txt': rodadaMsg,
-    'geral.txt': geralMsg,
-    'mensal.txt': mensalMsg,
-    'status.json': JSON.stringify({
-      generatedAt: new Date().toISOString(),
-      generatedAtBR: nowBR(),
-      rodadaAtual,
-      status_mercado: status.status_mercado,
-      fechamento: status.fechamento,
-      liga: { slug: LEAGUE_SLUG, nome: ligaNome, totalTimes: times.length },
-      mensalAtual: monthBlock,
-      premiadosTop: PREMIADOS_TOP,
-      usedAuth: Boolean(CARTOLA_BEARER)
-    }, null, 2)
-  });
+  // times ocultos (config → "elegibilidade") ficam fora de tudo
+  const times = visibleTeams(cfg.season, ligaData.times);
+  const liga = { nome: ligaNome, carregados: ligaData.carregados, totalLiga: ligaData.totalLiga };
+  const aviso = pagingWarning(liga.carregados, liga.totalLiga);
+  if (aviso) console.warn(`${cfg.slug}: ${aviso}`);
+  const monthBlock = getMonthBlock(cfg, rodadaAtual);
+
+  // histórico local de pontos por rodada: só busca o que falta (ou tudo, no backfill)
+  const ultimaPontuada = lastScoredRound(status);
+  if (recordFromLeague(status, times)) saveHistory();
+  const rodadasGeral = roundRange(1, ultimaPontuada);
+  const sync = await ensureRounds(times, rodadasGeral, fetchTeamRounds, { force: BACKFILL });
+  sync.failures.forEach(f => console.warn(`AVISO: time ${f.time_id} sem histórico (${f.error})`));
+  // contadores desta execução só no log: no status.json mudariam a cada execução sem mudar os dados
+  if (!BACKFILL) console.log(`${cfg.slug}: histórico com ${sync.fetched} pontuação(ões) nova(s), ${sync.failures.length} time(s) com falha`);
+
+  if (BACKFILL) {
+    saveHistory();
+    console.log(`OK: ${cfg.slug}: histórico refeito (rodadas 1 a ${ultimaPontuada}, ${sync.fetched} pontuações alteradas).`);
+    return null;
+  }
+
+  const rodadasMes = roundRange(monthBlock.start, Math.min(monthBlock.end, ultimaPontuada));
+  const geralTotals = totalsFromHistory(cfg, times, rodadasGeral, t => t?.pontos?.campeonato ?? null);
+  const mensalTotals = new Map(
+    times.map(t => {
+      const conta = countedRounds(t.time_id, rodadasMes, startRound(cfg.season));
+      return [t.time_id, conta.length ? sumRounds(t.time_id, conta).total : null];
+    })
+  );
+
+  // premiação da temporada até a última rodada pontuada (lib/premios.js), no mensal e no geral
+  const premiacao = ledgerTemplateData(prizeLedger(cfg.season, times, ultimaPontuada));
+
+  const rodadaMsg = buildRodadaMsg(cfg, liga, rodadaAtual, times, ultimaPontuada);
+  const geralMsg = buildGeralMsg(cfg, liga, rodadaAtual, times, geralTotals, rodadasGeral, premiacao);
+  const mensalMsg = buildMensalMsg(
+    cfg,
+    liga,
+    rodadaAtual,
+    monthBlock,
+    times,
+    { totals: mensalTotals, rodadas: rodadasMes },
+    { totals: geralTotals, rodadas: rodadasGeral },
+    premiacao
+  );
+
+  const cards = await buildCards(
+    cfg,
+    liga,
+    rodadaAtual,
+    monthBlock,
+    times,
+    { totals: mensalTotals, rodadas: rodadasMes },
+    { totals: geralTotals, rodadas: rodadasGeral },
+    ultimaPontuada
+  );
+
+  const escalacoesMsg = await buildEscalacoesMsg(cfg, liga, times, ultimaPontuada);
+
+  // copa: só se estiver configurada na temporada da liga
+  const copa = cupBracket(times, cfg.season, ultimaPontuada, { file: cfg.copaFile });
+
+  // mensagens do dia (docs/<nome>.<ext>), também na página, no arquivo da rodada e no feed
+  const mensagens = [
+    { nome: 'rodada', icone: '📊', titulo: 'Rodada', texto: renderDoc(rodadaMsg) },
+    { nome: 'mensal', icone: '📅', titulo: 'Mensal', texto: renderDoc(mensalMsg) },
+    { nome: 'geral', icone: '🏁', titulo: 'Geral', texto: renderDoc(geralMsg) },
+    { nome: 'escalacoes', icone: '📋', titulo: 'Escalações', texto: renderDoc(escalacoesMsg) },
+    ...(copa ? [{ nome: 'copa', icone: '🏅', titulo: 'Copa', texto: renderDoc(buildCopaMsg(cfg, liga, copa)) }] : [])
+  ];
+  const pagina = {
+    mensagens,
+    tabelas: buildTables(
+      cfg,
+      times,
+      monthBlock,
+      { totals: mensalTotals, rodadas: rodadasMes },
+      { totals: geralTotals, rodadas: rodadasGeral },
+      ultimaPontuada
+    )
+  };
+  const csvs = buildCsvs(
+    cfg,
+    times,
+    monthBlock,
+    { totals: mensalTotals, rodadas: rodadasMes },
+    { totals: geralTotals, rodadas: rodadasGeral },
+    ultimaPontuada
+  );
+
+  return {
+    nome: ligaNome,
+    boletins: times.map(t => ({ id: t.time_id, nome: t.nome.trim() })),
+    rodada: ultimaPontuada,
+    pagina,
+    // itens do feed.json: as mensagens do arquivo da rodada (id = caminho em docs/)
+    feed: ultimaPontuada >= 1
+      ? mensagens.map(m => ({
+        id: `rodadas/${ultimaPontuada}/${m.nome}.${DOC_EXT}`,
+        titulo: `${ligaNome} — Rodada ${ultimaPontuada}: ${m.titulo}`,
+        texto: m.texto,
+        html: FORMAT === 'html'
+      }))
+      : [],
+    files: {
+      ...Object.fromEntries(mensagens.map(m => [`${m.nome}.${DOC_EXT}`, m.texto])),
+      ...cards,
+      ...csvs,
+      ...(ultimaPontuada >= 1 && buildArchive(liga, ultimaPontuada, pagina, csvs)),
+      ...buildTimeMsgs(cfg, liga, times, ultimaPontuada),
+      'status.json': JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        generatedAtBR: nowBR(),
+        rodadaAtual,
+        status_mercado: status.status_mercado,
+        fechamento: status.fechamento,
+        liga: { slug: cfg.slug, nome: ligaNome, totalTimes: times.length, totalLiga: liga.totalLiga },
+        mensalAtual: monthBlock,
+        premiadosTop: monthBlock.premiados,
+        historico: { ultimaRodadaPontuada: ultimaPontuada },
+        usedAuth: Boolean(getAccessToken()),
+        apiMode: API_MODE,
+        format: FORMAT
+      }, null, 2)
+    }
+  };
+}
+
+(async () => {
+  // status do mercado (rodada atual), o mesmo para todas as ligas
+  const status = await fetchSmart('/mercado/status');
+
+  const gerados = [];
+  for (const cfg of LEAGUES.ligas) {
+    const out = await generateLeague(cfg, status);
+    if (out) gerados.push({ cfg, ...out });
+  }
+  if (BACKFILL) return;
+
+  // uma liga: tudo direto em docs/ (como sempre foi);
+  // várias: cada uma em docs/<slug>/ e a padrão também na raiz, com links para as outras
+  const multi = gerados.length > 1;
+  const agora = new Date().toISOString();
+  let gravados = 0;
+  const write = (out, dir, ligas = []) => {
+    const feed = updateFeed(readFeed(dir), out.feed, { titulo: `${out.nome} — Mensagens`, agora });
+    gravados += writeDocs(
+      {
+        'index.html': htmlIndex(out.nome, out.files, out.pagina, out.boletins, archivedRounds(dir, out.rodada), ligas),
+        'feed.json': `${JSON.stringify(feed, null, 2)}\n`,
+        ...out.files
+      },
+      dir
+    );
+  };
+  for (const out of gerados) {
+    if (multi) write(out, out.cfg.slug);
+    if (out.cfg.padrao) write(out, '', multi ? gerados.map(g => ({ slug: g.cfg.slug, nome: g.nome })) : []);
+  }
 
-  console.log('OK: docs gerados.');
+  console.log(`OK: docs gerados (${gerados.map(g => g.cfg.slug).join(', ')}; ${gravados} arquivo(s) alterado(s)).`);
 })().catch((e) => {
   console.error('ERRO:', e.message);
   process.exit(1);
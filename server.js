@@ -1,6 +1,45 @@
 // server.js
+import path from "path";
 import express from "express";
 import axios from "axios";
+import {
+  ensureRounds,
+  lastScoredRound,
+  missingRounds,
+  recordFromLeague,
+  roundRange,
+  saveHistory,
+  sumRounds,
+} from "./lib/historico.js";
+import { fetchAllLeaguePages, pagingWarning } from "./lib/liga.js";
+import { getCompetition, pickCompetition, tiebreakersFor } from "./lib/competicoes.js";
+import { biggestMoves, countedRounds, movementSinceLastRound, rankWithTies, topWithTies } from "./lib/ranking.js";
+import {
+  actionsFor,
+  detectEvents,
+  isProcessed,
+  loadSchedulerState,
+  markProcessed,
+  saveSchedulerState,
+  SCHEDULER_EVENTS,
+} from "./lib/agendador.js";
+import { cupBracket, cupTemplateData } from "./lib/copa.js";
+import { appendDeliveryLog, deliver, destinationsFor, DRY_RUN, loadDeliveryLog } from "./lib/envio.js";
+import { confrontosConfig, loadFixture, roundMatches, standings } from "./lib/confrontos.js";
+import { parciaisConfig, teamPartial } from "./lib/parciais.js";
+import { prizeRanking, startRound, visibleTeams, withEligibility } from "./lib/elegibilidade.js";
+import { CSV_DECIMALS, monthlyCsv, overallCsv, seasonCsv } from "./lib/planilha.js";
+import { API_MODE, CARTOLA_API, FIXTURES_DIR, FIXTURES_SCENARIO, readFixture, recordFixture } from "./lib/fixtures.js";
+import { ensureLineups, lineupStats, lineupTemplateData, saveLineups, storeLineup } from "./lib/escalacoes.js";
+import { loadLeagues } from "./lib/ligas.js";
+import { ledgerTemplateData, prizeLedger } from "./lib/premios.js";
+import { roundAwards, seasonRecords } from "./lib/recordes.js";
+import { reportTemplateData, teamReport } from "./lib/boletim.js";
+import { cached, clearCache, clearCacheWhere } from "./lib/cache.js";
+import { monthlyCard, overallCard, roundCard, svgToPng } from "./lib/cards.js";
+import { FORMATS, isFormat, renderMessage } from "./lib/render.js";
+import { loadMedals, renderTemplate } from "./lib/templates.js";
+import { canRefresh, getAccessToken, initTokens, refreshAccessToken, tokenStatus } from "./lib/tokens.js";
 
 const app = express();
 
@@ -8,27 +47,39 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const LEAGUE_SLUG = process.env.CARTOLA_LEAGUE_SLUG || "show-de-bola-araca-f-c";
 const ACCESS_TOKEN = process.env.CARTOLA_ACCESS_TOKEN || ""; // access_token (Bearer)
+const REFRESH_TOKEN = process.env.CARTOLA_REFRESH_TOKEN || ""; // refresh_token (renova o access_token sozinho)
 
-// Base API
-const CARTOLA_API = "https://api.cartola.globo.com";
-
-// Segmentos mensais personalizados (TOP 4)
-const MONTH_SEGMENTS = [
-  { key: "jan-fev", label: "Rodadas 1 a 4 (jan/fev)", start: 1, end: 4 },
-  { key: "mar", label: "Rodadas 5 a 8 (mar)", start: 5, end: 8 },
-  { key: "abr", label: "Rodadas 9 a 13 (abr)", start: 9, end: 13 },
-  { key: "mai", label: "Rodadas 14 a 18 (mai)", start: 14, end: 18 },
-  { key: "jul", label: "Rodadas 19 a 21 (jul)", start: 19, end: 21 },
-  { key: "ago", label: "Rodadas 22 a 25 (ago)", start: 22, end: 25 },
-  { key: "set", label: "Rodadas 26 a 28 (set)", start: 26, end: 28 },
-  { key: "out", label: "Rodadas 29 a 33 (out)", start: 29, end: 33 },
-  { key: "nov-dez", label: "Rodadas 34 a 38 (nov/dez)", start: 34, end: 38 },
-];
+// Tokens renovados ficam em data/tokens.json (CARTOLA_TOKEN_FILE) e sobrevivem a restart
+initTokens({ accessToken: ACCESS_TOKEN, refreshToken: REFRESH_TOKEN });
+
+// TTL do cache por status_mercado: mercado aberto nada muda; rodada rolando/em apuração muda rápido
+const CACHE_TTL_BY_STATUS = {
+  1: 10 * 60 * 1000, // aberto
+  2: 60 * 1000, // fechado (rodada em andamento)
+  3: 60 * 1000, // em atualização (apurando a rodada)
+  4: 5 * 60 * 1000, // manutenção
+  6: 60 * 60 * 1000, // fim de temporada
+};
+const CACHE_TTL_DEFAULT = 2 * 60 * 1000;
+// Escalação não muda com o mercado fechado: vale a rodada, mas com prazo para não ficar na memória para sempre
+const LINEUP_TTL = 6 * 60 * 60 * 1000;
+
+// Agendador: consulta /mercado/status a cada N segundos (0 desliga) — lib/agendador.js
+const SCHEDULER_INTERVAL = Number(process.env.CARTOLA_SCHEDULER_INTERVAL ?? 120) * 1000;
+const SCHEDULER_FORMAT = (process.env.MESSAGE_FORMAT || "whatsapp").toLowerCase();
+// depois de tantas falhas seguidas o evento é dado como processado (o erro fica no log)
+const SCHEDULER_MAX_FAILURES = 3;
+if (!isFormat(SCHEDULER_FORMAT)) throw new Error(`MESSAGE_FORMAT desconhecido: ${SCHEDULER_FORMAT}. Use: ${FORMATS.join(", ")}`);
+
+// Ligas servidas por este deploy (config/ligas.json; sem ele, só CARTOLA_LEAGUE_SLUG).
+// Cada liga tem a sua temporada (competições, premiação, copa...) e os seus templates — lib/ligas.js
+const LEAGUES = loadLeagues(LEAGUE_SLUG);
 
 // ============ HELPERS ============
 function authHeaders() {
-  if (!ACCESS_TOKEN) return {};
-  return { Authorization: `Bearer ${ACCESS_TOKEN}` };
+  const token = getAccessToken();
+  if (!token) return {};
+  return { Authorization: `Bearer ${token}` };
 }
 
 function isLikelyExpired(err) {
@@ -40,26 +91,143 @@ function isLikelyExpired(err) {
 
 function friendlyAuthHint() {
   return (
-    "Token expirado. Pegue um NOVO access token no Cartola Web:\n" +
-    "DevTools > Network > filtro 'token' > request 'token' ou 'refresh-token' > Response > access_token.\n" +
-    "Depois atualize CARTOLA_ACCESS_TOKEN no Render e faça redeploy."
+    "Token expirado e não foi possível renová-lo automaticamente.\n" +
+    "Pegue um NOVO refresh token no Cartola Web:\n" +
+    "DevTools > Network > filtro 'token' > request 'token' ou 'refresh-token' > Response > refresh_token.\n" +
+    "Depois atualize CARTOLA_REFRESH_TOKEN no Render e faça redeploy (o access token é renovado sozinho)."
   );
 }
 
+// Token expirado (ou ausente): renova com o refresh token e repete a requisição uma única vez
+axios.interceptors.response.use(undefined, async (err) => {
+  const config = err?.config;
+  const needsToken = isLikelyExpired(err) || (err?.response?.status === 401 && !getAccessToken());
+  if (!config || config._tokenRenewed || !needsToken || !canRefresh()) throw err;
+
+  config._tokenRenewed = true;
+  try {
+    await refreshAccessToken();
+  } catch (e) {
+    console.error("❌ Falha ao renovar token:", e?.message);
+    throw err;
+  }
+  config.headers.Authorization = `Bearer ${getAccessToken()}`;
+  return axios(config);
+});
+
+// Resposta de erro padrão das rotas (token expirado => 401 com instrução)
+function sendRouteError(res, err) {
+  if (isLikelyExpired(err)) {
+    return res.status(401).json({ ok: false, error: "Expired", messageFriendly: friendlyAuthHint() });
+  }
+  res.status(err?.status || err?.response?.status || 500).json({
+    ok: false,
+    error: err?.message || "Erro",
+    data: err?.response?.data || null,
+  });
+}
+
+// GET na API do Cartola (base em CARTOLA_API_URL). Com CARTOLA_API_MODE=replay responde com a fixture
+// gravada; com record grava cada resposta — lib/fixtures.js
+async function cartolaGet(pathname, { auth = true, timeout = 20000 } = {}) {
+  if (API_MODE === "replay") return readFixture(pathname);
+  const { data } = await axios.get(`${CARTOLA_API}${pathname}`, { headers: auth ? authHeaders() : {}, timeout });
+  recordFixture(pathname, data);
+  return data;
+}
+
 async function getMarketStatus() {
   // Endpoint público (normalmente): /mercado/status
-  const url = `${CARTOLA_API}/mercado/status`;
-  const { data } = await axios.get(url, { timeout: 15000 });
-  return data;
+  return cartolaGet("/mercado/status", { auth: false, timeout: 15000 });
+}
+
+// Pontuação ao vivo dos atletas na rodada em andamento: { atletas: { [atleta_id]: { pontuacao, ... } } }
+async function getLivePlayerScores() {
+  return cartolaGet("/atletas/pontuados", { timeout: 15000 });
 }
 
-async function getLeague(orderBy = "campeonato", page = 1) {
+async function getLeaguePage(slug, orderBy = "campeonato", page = 1) {
   // Liga privada geralmente exige /auth/liga/...
-  const url = `${CARTOLA_API}/auth/liga/${LEAGUE_SLUG}?orderBy=${encodeURIComponent(
-    orderBy
-  )}&page=${page}`;
-  const { data } = await axios.get(url, { headers: authHeaders(), timeout: 20000 });
-  return data;
+  return cartolaGet(`/auth/liga/${slug}?orderBy=${encodeURIComponent(orderBy)}&page=${page}`);
+}
+
+// Liga completa: junta todas as páginas (sem duplicar times) e informa carregados x total
+async function getLeague(slug, orderBy = "campeonato") {
+  return fetchAllLeaguePages((page) => getLeaguePage(slug, orderBy, page));
+}
+
+function cacheTtl(mercado) {
+  return CACHE_TTL_BY_STATUS[mercado?.status_mercado] ?? CACHE_TTL_DEFAULT;
+}
+
+// Versões com cache das chamadas acima. O objeto devolvido traz `_cache` ({ fetchedAt, stale }):
+// stale = true quando a API falhou e estamos servindo o último dado bom.
+async function loadMarketStatus() {
+  const { value, fetchedAt, stale } = await cached("mercado", cacheTtl, getMarketStatus);
+  return { ...value, _cache: { fetchedAt, stale } };
+}
+
+// Times ocultos (config → "elegibilidade") saem aqui e não aparecem em nenhuma mensagem
+async function loadLeague(liga, orderBy, mercado) {
+  const key = `liga:${liga.slug}:${orderBy}`;
+  const { value, fetchedAt, stale } = await cached(key, cacheTtl(mercado), () => getLeague(liga.slug, orderBy));
+  const times = Array.isArray(value?.times) ? visibleTeams(liga.season, value.times) : value?.times;
+  return { ...value, times, _cache: { fetchedAt, stale } };
+}
+
+// Escalações da parcial (rodada em andamento). Quando a rodada muda, as da anterior saem do cache:
+// as pontuadas já ficam em data/escalacoes.json (lib/escalacoes.js)
+let lineupRound = null;
+
+async function loadLineup(timeId, rodada) {
+  if (rodada !== lineupRound) {
+    clearCacheWhere((key) => key.startsWith("escalacao:") && !key.startsWith(`escalacao:${rodada}:`));
+    lineupRound = rodada;
+  }
+  const { value } = await cached(`escalacao:${rodada}:${timeId}`, LINEUP_TTL, () => getTeamRound(timeId, rodada));
+  return value;
+}
+
+async function loadLivePlayerScores(mercado) {
+  const { value, fetchedAt, stale } = await cached("pontuados", cacheTtl(mercado), getLivePlayerScores);
+  return { ...value, _cache: { fetchedAt, stale } };
+}
+
+function isStale(...sources) {
+  return sources.some((d) => d?._cache?.stale);
+}
+
+function hourBR(date) {
+  return date.toLocaleTimeString("pt-BR", { timeZone: "America/Sao_Paulo", hour: "2-digit", minute: "2-digit" });
+}
+
+function leagueCounts(league) {
+  return { carregados: league?.carregados ?? 0, total: league?.totalLiga ?? null };
+}
+
+// Avisos para o texto (linhas): liga incompleta e/ou dados antigos do cache ([] se está tudo certo)
+function dataNotes(league, ...others) {
+  const notes = [];
+  const warning = pagingWarning(league?.carregados, league?.totalLiga);
+  if (warning) notes.push(warning);
+
+  const staleDates = [league, ...others].filter((d) => d?._cache?.stale).map((d) => d._cache.fetchedAt);
+  if (staleDates.length) {
+    const oldest = new Date(Math.min(...staleDates.map((d) => d.getTime())));
+    notes.push(`⚠️ Cartola indisponível agora — dados de ${hourBR(oldest)}.`);
+  }
+  return notes;
+}
+
+// ?format=whatsapp|telegram|discord|plain|html|markdown (padrão: whatsapp)
+function requestFormat(req) {
+  const format = String(req.query.format || "whatsapp").toLowerCase();
+  if (!isFormat(format)) {
+    const err = new Error(`Formato desconhecido: ${format}. Use: ${FORMATS.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+  return format;
 }
 
 /**
@@ -68,36 +236,241 @@ async function getLeague(orderBy = "campeonato", page = 1) {
  * Se falhar, a rota /mensal retorna uma mensagem amigável.
  */
 async function getTeamPointsByRound(timeId) {
-  const url = `${CARTOLA_API}/time/id/${timeId}/pontuacao`;
-  const { data } = await axios.get(url, { headers: authHeaders(), timeout: 20000 });
-  return data; // esperado: objeto com rodadas/pontuacoes
+  return cartolaGet(`/time/id/${timeId}/pontuacao`); // esperado: objeto com rodadas/pontuacoes
+}
+
+// Time escalado em uma rodada específica (traz `pontos` quando a rodada já foi pontuada)
+async function getTeamRound(timeId, rodada) {
+  return cartolaGet(`/time/id/${timeId}/${rodada}`);
+}
+
+// Possíveis formatos da pontuação por rodada. Tentamos cobrir:
+// 1) hist é array: [{ rodada: 1, pontos: 123.45 }, ...]
+// 2) hist.pontuacao é objeto: { "1": 123.45, "2": 98.76, ... }
+function parsePointsByRound(hist) {
+  const out = {};
+  if (Array.isArray(hist)) {
+    hist.forEach((x) => {
+      if (x?.rodada != null && x?.pontos != null) out[x.rodada] = Number(x.pontos);
+    });
+  } else if (hist && typeof hist === "object" && hist.pontuacao && typeof hist.pontuacao === "object") {
+    for (const [r, p] of Object.entries(hist.pontuacao)) {
+      if (p != null) out[r] = Number(p);
+    }
+  }
+  return out;
+}
+
+/**
+ * Busca só as rodadas pedidas de um time (usado pelo histórico local).
+ * Primeiro tenta o endpoint de pontuação completa (1 chamada); o que faltar
+ * busca rodada a rodada em /time/id/{id}/{rodada}.
+ */
+async function fetchTeamRounds(timeId, rodadas) {
+  let out = {};
+  try {
+    out = parsePointsByRound(await getTeamPointsByRound(timeId));
+  } catch (e) {
+    // endpoint pode não existir nesta temporada; seguimos rodada a rodada
+  }
+
+  // rodada sem pontos (não escalou) ou 404 (time não existia na rodada) volta null: fica registrada
+  // no histórico como "não pontuou" e não é buscada de novo. A escalação que vem junto já fica salva
+  // (lib/escalacoes.js), para o /escalacoes não pedir o mesmo time de novo.
+  let escalacoes = 0;
+  try {
+    for (const r of rodadas) {
+      if (out[r] != null) continue;
+      try {
+        const data = await getTeamRound(timeId, r);
+        out[r] = data?.pontos != null ? Number(data.pontos) : null;
+        if (storeLineup(timeId, r, data)) escalacoes++;
+      } catch (e) {
+        if ((e?.status ?? e?.response?.status) !== 404) throw e;
+        out[r] = null;
+      }
+    }
+  } finally {
+    if (escalacoes) saveLineups();
+  }
+  return out;
+}
+
+// Histórico frio (primeiro uso, time novo com a temporada inteira faltando): com mais que isso de
+// rodadas faltando num time, a carga roda em segundo plano em vez de prender o request.
+// Para popular tudo de uma vez, fora do servidor: npm run backfill.
+const MAX_ROUNDS_IN_REQUEST = 2;
+let backgroundSync = null;
+// times que já passaram pela carga em segundo plano: o que ainda faltar neles (falhas) é buscado no request
+const warmedTeams = new Set();
+
+function syncInBackground(mercado, times) {
+  if (backgroundSync) return;
+  const rodadas = roundRange(1, lastScoredRound(mercado));
+  console.log(`📚 Carregando o histórico em segundo plano (rodadas 1 a ${rodadas.length}, ${times.length} times)...`);
+  backgroundSync = ensureRounds(times, rodadas, fetchTeamRounds)
+    .then(({ fetched, failures }) => console.log(`📚 Histórico carregado: ${fetched} rodada(s), ${failures.length} time(s) com falha`))
+    .catch((e) => console.error("❌ Carga do histórico:", e?.message))
+    .finally(() => {
+      backgroundSync = null;
+      times.forEach((t) => warmedTeams.add(t?.time_id));
+    });
 }
 
-function formatRow(pos, teamName, coachName, points, highlight = false) {
-  const medal =
-    pos === 1 ? "🥇" : pos === 2 ? "🥈" : pos === 3 ? "🥉" : pos === 4 ? "🏅" : "•";
-  const p = points == null ? "-" : Number(points).toFixed(2).replace(".", ",");
-  const base = `${medal} ${pos}º ${teamName} — ${p}`;
-  return highlight ? `⭐ ${base}` : base;
+// Carga em segundo plano rodando: o histórico ainda não tem a temporada inteira
+const historyLoading = () => backgroundSync != null;
+
+// Aviso para as mensagens que saem sem as seções do histórico enquanto ele carrega
+function historyNotes() {
+  if (!historyLoading()) return [];
+  return ["⏳ Histórico da temporada carregando em segundo plano: o que depende dele ficou de fora desta mensagem. Tente de novo em alguns minutos."];
+}
+
+/**
+ * Garante no histórico as rodadas [start, end] (limitadas à última pontuada)
+ * e devolve as rodadas consideradas.
+ * Histórico frio: dispara a carga em segundo plano. Com `parcial` a rota segue sem esperar
+ * (e deixa de fora o que depende do histórico, ver historyLoading); sem ele, 503.
+ */
+async function syncHistory(mercado, times, start, end, { offline = false, parcial = false } = {}) {
+  if (recordFromLeague(mercado, times)) saveHistory();
+  const rodadas = roundRange(start, Math.min(end, lastScoredRound(mercado)));
+  // offline (API fora / servindo cache antigo): usa só o que já está no histórico
+  if (!rodadas.length || offline) return rodadas;
+
+  const frios = times.filter((t) => !warmedTeams.has(t?.time_id));
+  const faltando = Math.max(0, ...frios.map((t) => missingRounds(t?.time_id, rodadas).length));
+  if (faltando > MAX_ROUNDS_IN_REQUEST || historyLoading()) {
+    syncInBackground(mercado, times);
+    if (parcial) return rodadas;
+    const err = new Error(
+      "Histórico local incompleto: carregando as rodadas em segundo plano. Tente de novo em alguns minutos (ou rode npm run backfill)."
+    );
+    err.status = 503;
+    throw err;
+  }
+  await ensureRounds(times, rodadas, fetchTeamRounds);
+  return rodadas;
+}
+
+// O agendador não responde a ninguém: com o histórico frio, carrega a temporada inteira antes de
+// montar as mensagens do evento (em vez de mandá-las sem as seções do histórico ou com 503)
+async function warmHistory(liga) {
+  const mercado = await loadMarketStatus();
+  const league = await loadLeague(liga, "campeonato", mercado);
+  const times = Array.isArray(league?.times) ? league.times : [];
+  if (isStale(league, mercado) || times.every((t) => warmedTeams.has(t?.time_id))) return;
+  if (backgroundSync) await backgroundSync;
+  if (recordFromLeague(mercado, times)) saveHistory();
+  await ensureRounds(times, roundRange(1, lastScoredRound(mercado)), fetchTeamRounds);
+  times.forEach((t) => warmedTeams.add(t?.time_id));
+}
+
+function formatPoints(points) {
+  return points == null ? "-" : Number(points).toFixed(2).replace(".", ",");
+}
+
+// Templates da liga (pasta própria, se tiver, antes de config/templates e templates/)
+function leagueTemplate(liga, name, data) {
+  return renderTemplate(name, data, { dirs: liga.templateDirs });
+}
+
+// Linhas de ranking para os templates (templates/linha.txt): medalha, pontos já formatados e
+// a marca de elegibilidade ("fora da premiação", "inscrição pendente"...)
+function templateRows(liga, rows) {
+  const medalFor = loadMedals({ dirs: liga.templateDirs });
+  return withEligibility(liga.season, rows).map((r) => ({ ...r, medalha: medalFor(r.pos), pontos: formatPoints(r.pontos) }));
+}
+
+// Prêmios e recordes (lib/recordes.js) com os pontos já formatados para os templates
+function formatScores(list) {
+  return list.map((x) => ({
+    ...x,
+    pontos: formatPoints(x.pontos),
+    ...(x.ganho != null && { ganho: formatPoints(x.ganho), media: formatPoints(x.media) }),
+    ...(x.anterior && { anterior: { ...x.anterior, pontos: formatPoints(x.anterior.pontos) } }),
+  }));
+}
+
+/**
+ * Premiação até a última rodada pontuada (lib/premios.js), com valores em R$ para os templates
+ * (templates/premiacao.txt, incluído no mensal, no geral e no /premios). null se não configurada
+ * ou, com `parcial`, enquanto o histórico carrega (ver syncHistory).
+ */
+async function loadLedger(liga, league, mercado, times, { parcial = false } = {}) {
+  const rodadas = await syncHistory(mercado, times, 1, lastScoredRound(mercado), { offline: isStale(league, mercado), parcial });
+  if (parcial && historyLoading()) return { ledger: null, premiacao: null };
+  const ledger = prizeLedger(liga.season, times, rodadas.length);
+  return { ledger, premiacao: ledgerTemplateData(ledger) };
+}
+
+// ?rodada=N (opcional): número de rodada válido da temporada
+function requestRound(req) {
+  if (req.query.rodada == null) return null;
+  const rodada = Number(req.query.rodada);
+  const { totalRodadas } = req.liga.season;
+  if (!Number.isInteger(rodada) || rodada < 1 || rodada > totalRodadas) {
+    const err = new Error(`Rodada inválida: ${req.query.rodada}. Use 1 a ${totalRodadas}`);
+    err.status = 400;
+    throw err;
+  }
+  return rodada;
+}
+
+// Jogos da liga de confrontos para os templates (templates/confronto.txt)
+function matchRows(matches, nomeDe) {
+  return matches.map((m) => {
+    if (m.folga) return { folga: true, casa: nomeDe(m.casa) };
+    const vencedor = m.resultado === "casa" ? m.casa : m.resultado === "fora" ? m.fora : null;
+    return {
+      casa: nomeDe(m.casa),
+      fora: nomeDe(m.fora),
+      placar: m.resultado ? `${formatPoints(m.pontosCasa)} x ${formatPoints(m.pontosFora)}` : null,
+      empate: m.resultado === "empate",
+      vencedor: vencedor == null ? null : nomeDe(vencedor),
+    };
+  });
+}
+
+// Tabela de jogos da liga de confrontos + aviso para times que entraram depois dela
+function loadConfrontos(liga, times) {
+  const fixture = loadFixture(times, liga.season, liga.confrontosFile);
+  const byId = new Map(times.map((t) => [t?.time_id, t?.nome?.trim()]));
+  const nomeDe = (id) => byId.get(id) || `Time ${id}`;
+  const avisos = fixture.novos.length
+    ? [`⚠️ ${fixture.novos.map(nomeDe).join(", ")} fora da tabela de confrontos (apague ${path.relative(process.cwd(), liga.confrontosFile)} para refazer).`]
+    : [];
+  return { fixture, nomeDe, avisos };
+}
+
+// Dados de cabeçalho comuns a todos os templates
+function headerData(league, mercado) {
+  const rodadaAtual = mercado?.rodada_atual ?? null;
+  return {
+    liga: league?.liga?.nome || "Liga",
+    rodadaNome: mercado?.nome_rodada || (rodadaAtual ? `Rodada ${rodadaAtual}` : "-"),
+    geradoEm: nowBR(),
+    avisos: dataNotes(league, mercado),
+  };
 }
 
 function nowBR() {
   return new Date().toLocaleString("pt-BR", { timeZone: "America/Sao_Paulo" });
 }
 
-function pickMonthlySegment(rodadaAtual) {
-  return (
-    MONTH_SEGMENTS.find((s) => rodadaAtual >= s.start && rodadaAtual <= s.end) ||
-    MONTH_SEGMENTS[0]
-  );
+function pickMonthlySegment(liga, rodadaAtual) {
+  return pickCompetition(liga.season, "mensal", rodadaAtual);
 }
 
 // ============ ROUTES ============
 app.get("/", (req, res) => {
   res.json({
     ok: true,
-    name: "Cartola Mensagens (Opção A / Sem refresh)",
-    routes: ["/debug", "/participantes", "/rodada", "/geral", "/mensal"],
+    name: "Cartola Mensagens",
+    formats: FORMATS,
+    ligas: LEAGUES.ligas.map((l) => l.slug),
+    // as rotas de liga valem também em /ligas/:slug/... (sem o prefixo: liga padrão)
+    routes: ["/debug", "/ligas", "/agendador", "/time/:id", "POST /enviar/:tipo", "/envios", "/rodada.svg|png", "/geral.svg|png", "/mensal.svg|png", "/export/temporada.csv", "/export/geral.csv", "/export/mensal.csv", "/participantes", "/rodada", "/parcial", "/escalacoes", "/geral", "/recordes", "/premios", "/confrontos", "/tabela-confrontos", "/copa", "/mensal", "/competicoes", "/competicoes/:key"],
   });
 });
 
@@ -113,17 +486,43 @@ app.get("/debug", async (req, res) => {
     ok: true,
     now: new Date().toISOString(),
     nowBR: nowBR(),
-    leagueSlug: LEAGUE_SLUG,
-    accessTokenConfigured: Boolean(ACCESS_TOKEN),
+    leagueSlug: LEAGUES.padrao,
+    api: {
+      url: CARTOLA_API,
+      modo: API_MODE,
+      ...(API_MODE !== "live" && { fixtures: FIXTURES_DIR, cenario: FIXTURES_SCENARIO || null }),
+    },
+    ligas: LEAGUES.ligas.map((l) => l.slug),
+    accessTokenConfigured: Boolean(getAccessToken()),
+    tokens: tokenStatus(),
     market: mercado,
     hint:
-      "Se /rodada ou /geral der 401 Expired, atualize CARTOLA_ACCESS_TOKEN no Render. (Sem refresh token).",
+      "O access token é renovado sozinho com CARTOLA_REFRESH_TOKEN. Se /rodada ou /geral der 401 Expired, o refresh token também expirou: atualize no Render.",
   });
 });
 
-app.get("/participantes", async (req, res) => {
+// Rotas de uma liga: servidas em /ligas/:slug/... e, para a liga padrão, também na raiz (/rodada, /geral...).
+// A liga da requisição fica em req.liga (lib/ligas.js).
+const router = express.Router();
+
+// Rota de mensagem: `build(liga, { format, rodada, ...params da rota })` monta a resposta;
+// erros viram JSON (sendRouteError)
+function messageRoute(build) {
+  return async (req, res) => {
+    try {
+      const format = requestFormat(req);
+      const result = await build(req.liga, { format, rodada: requestRound(req), ...req.params });
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      sendRouteError(res, err);
+    }
+  };
+}
+
+router.get("/participantes", async (req, res) => {
   try {
-    const league = await getLeague("campeonato", 1);
+    const mercado = await loadMarketStatus();
+    const league = await loadLeague(req.liga, "campeonato", mercado);
     const times = Array.isArray(league?.times) ? league.times : [];
 
     const lista = times.map((t) => ({
@@ -137,220 +536,722 @@ app.get("/participantes", async (req, res) => {
       ok: true,
       liga: league?.liga?.nome,
       total: lista.length,
+      totalLiga: league?.totalLiga ?? null,
+      stale: isStale(league, mercado),
       participantes: lista,
     });
   } catch (err) {
-    if (isLikelyExpired(err)) {
-      return res.status(401).json({ ok: false, error: "Expired", messageFriendly: friendlyAuthHint() });
-    }
-    res.status(err?.response?.status || 500).json({
-      ok: false,
-      error: err?.message || "Erro",
-      data: err?.response?.data || null,
-    });
+    sendRouteError(res, err);
   }
 });
 
-app.get("/rodada", async (req, res) => {
-  try {
-    const mercado = await getMarketStatus();
-    const rodadaAtual = mercado?.rodada_atual ?? null;
+async function rodadaMessage(liga, { format }) {
+  const mercado = await loadMarketStatus();
+  const rodadaAtual = mercado?.rodada_atual ?? null;
 
-    const league = await getLeague("rodada", 1);
-    const times = Array.isArray(league?.times) ? league.times : [];
+  const league = await loadLeague(liga, "rodada", mercado);
+  const times = Array.isArray(league?.times) ? league.times : [];
 
-    // pontos.rodada pode ser null antes de começar
-    const sorted = [...times].sort((a, b) => (b?.pontos?.rodada ?? -999999) - (a?.pontos?.rodada ?? -999999));
-
-    const top = sorted
-      .filter((t) => t?.pontos?.rodada != null)
-      .slice(0, 10)
-      .map((t, idx) => ({
-        pos: idx + 1,
-        time: t?.nome?.trim(),
-        cartoleiro: t?.nome_cartola?.trim(),
-        pontos: t?.pontos?.rodada,
-      }));
-
-    // Texto pronto para colar
-    let texto = `🏟️ *${league?.liga?.nome || "Liga"}*\n`;
-    texto += `📅 *Rodada:* ${mercado?.nome_rodada || (rodadaAtual ? `Rodada ${rodadaAtual}` : "-")}\n`;
-    texto += `🕒 *Gerado em:* ${nowBR()}\n\n`;
-
-    if (!top.length) {
-      texto += `⚠️ Ainda sem pontuação de rodada (campeonato não começou ou rodada não pontuou ainda).\n`;
-    } else {
-      texto += `📌 *TOP ${top.length} da Rodada*\n`;
-      top.forEach((r) => {
-        texto += `${formatRow(r.pos, r.time, r.cartoleiro, r.pontos)}\n`;
-      });
-    }
+  // pontos.rodada pode ser null antes de começar; empatados no 10º lugar entram todos
+  const entries = times
+    .filter((t) => t?.pontos?.rodada != null)
+    .map((t) => ({
+      time_id: t?.time_id,
+      time: t?.nome?.trim(),
+      cartoleiro: t?.nome_cartola?.trim(),
+      pontos: t?.pontos?.rodada,
+    }));
+  const ultima = lastScoredRound(mercado);
+  const ranked = rankWithTies(entries, { desempate: tiebreakersFor(liga.season), rodadas: [ultima] });
+  const top = topWithTies(ranked, 10);
 
-    res.json({ ok: true, rodadaAtual, texto, top });
-  } catch (err) {
-    if (isLikelyExpired(err)) {
-      return res.status(401).json({ ok: false, error: "Expired", messageFriendly: friendlyAuthHint() });
+  // Prêmios da última rodada pontuada (precisa das rodadas anteriores para a média de cada time;
+  // com o histórico ainda carregando, a mensagem sai sem eles)
+  await syncHistory(mercado, times, 1, ultima, { offline: isStale(league, mercado), parcial: true });
+  const notas = historyNotes();
+  const premios = ultima >= 1 && !notas.length ? roundAwards(times, ultima) : null;
+
+  // Texto pronto para colar (templates/rodada.txt)
+  const header = headerData(league, mercado);
+  const lines = leagueTemplate(liga, "rodada", {
+    ...header,
+    avisos: [...header.avisos, ...notas],
+    top: templateRows(liga, top),
+    premios: premios && {
+      rodada: premios.rodada,
+      mito: formatScores(premios.mito),
+      lanterna: formatScores(premios.lanterna),
+      evolucao: formatScores(premios.evolucao),
+      recordes: formatScores(premios.recordes),
+    },
+  });
+
+  return { liga: league?.liga?.nome, rodadaAtual, times: leagueCounts(league), ...renderMessage(lines, format), top, premios };
+}
+
+router.get("/rodada", messageRoute(rodadaMessage));
+
+async function parcialMessage(liga, { format }) {
+  const mercado = await loadMarketStatus();
+  const rodada = mercado?.rodada_atual ?? null;
+  const league = await loadLeague(liga, "campeonato", mercado);
+  const times = Array.isArray(league?.times) ? league.times : [];
+
+  // parciais só existem com o mercado fechado (rodada rolando)
+  const emAndamento = mercado?.status_mercado === 2 && rodada != null;
+  let ranking = [];
+  const avisos = [];
+  let pontuados = null;
+  if (emAndamento) {
+    pontuados = await loadLivePlayerScores(mercado);
+    const { multiplicadorCapitao } = parciaisConfig(liga.season);
+
+    // escalações em lotes pequenos para não martelar a API na primeira chamada da rodada
+    const parciais = [];
+    for (let i = 0; i < times.length; i += 5) {
+      const lote = times.slice(i, i + 5);
+      const results = await Promise.allSettled(lote.map((t) => loadLineup(t?.time_id, rodada)));
+      results.forEach((r, j) => parciais.push({ t: lote[j], escalacao: r.status === "fulfilled" ? r.value : null }));
     }
-    res.status(err?.response?.status || 500).json({
-      ok: false,
-      error: err?.message || "Erro",
-      data: err?.response?.data || null,
-    });
+    const falhas = parciais.filter((p) => !p.escalacao).length;
+    if (falhas) avisos.push(`⚠️ ${falhas} time(s) sem escalação carregada (ficaram de fora da parcial).`);
+
+    ranking = rankWithTies(
+      parciais
+        .filter((p) => p.escalacao)
+        .map(({ t, escalacao }) => ({
+          time_id: t?.time_id,
+          time: t?.nome?.trim(),
+          cartoleiro: t?.nome_cartola?.trim(),
+          ...teamPartial(escalacao, pontuados?.atletas, multiplicadorCapitao),
+        }))
+    );
   }
-});
 
-app.get("/geral", async (req, res) => {
-  try {
-    const mercado = await getMarketStatus();
-    const rodadaAtual = mercado?.rodada_atual ?? null;
+  // templates/parcial.txt
+  const header = headerData(league, mercado);
+  const lines = leagueTemplate(liga, "parcial", {
+    ...header,
+    avisos: [...dataNotes(league, mercado, pontuados), ...avisos],
+    emAndamento,
+    ranking: templateRows(liga, ranking),
+  });
 
-    const league = await getLeague("campeonato", 1);
-    const times = Array.isArray(league?.times) ? league.times : [];
+  return { parcial: true, rodada, emAndamento, times: leagueCounts(league), ...renderMessage(lines, format), ranking };
+}
+
+router.get("/parcial", messageRoute(parcialMessage));
+
+// Escalações de uma rodada pontuada (padrão: a última): mais escalados, capitães, diferenciais e esquemas
+async function escalacoesMessage(liga, { format, rodada: pedida = null }) {
+  const mercado = await loadMarketStatus();
+  const league = await loadLeague(liga, "campeonato", mercado);
+  const times = Array.isArray(league?.times) ? league.times : [];
+
+  const ultima = lastScoredRound(mercado);
+  const rodada = pedida ?? ultima;
+  const avisos = [];
+  // só rodada pontuada: antes disso a escalação ainda muda e os atletas não têm pontos
+  if (rodada >= 1 && rodada <= ultima && !isStale(league, mercado)) {
+    const { failures } = await ensureLineups(times, rodada, getTeamRound);
+    if (failures.length) avisos.push(`⚠️ ${failures.length} time(s) sem escalação carregada (tente de novo mais tarde).`);
+  }
+  const escalacoes = lineupStats(times, rodada);
+
+  // templates/escalacoes.txt
+  const header = headerData(league, mercado);
+  const lines = leagueTemplate(liga, "escalacoes", {
+    ...header,
+    avisos: [...header.avisos, ...avisos],
+    ...lineupTemplateData(escalacoes, formatPoints),
+  });
+
+  return { rodada, times: leagueCounts(league), ...renderMessage(lines, format), escalacoes };
+}
 
-    // ranking.campeonato e pontos.campeonato geralmente aparecem após começar
-    const sorted = [...times].sort((a, b) => (b?.pontos?.campeonato ?? -999999) - (a?.pontos?.campeonato ?? -999999));
+router.get("/escalacoes", messageRoute(escalacoesMessage));
 
-    const lista = sorted.map((t, idx) => ({
-      pos: idx + 1,
+async function geralMessage(liga, { format }) {
+  const mercado = await loadMarketStatus();
+  const rodadaAtual = mercado?.rodada_atual ?? null;
+
+  const league = await loadLeague(liga, "campeonato", mercado);
+  const times = Array.isArray(league?.times) ? league.times : [];
+
+  // Soma do histórico local (rodadas 1 até a última pontuada); se o histórico
+  // do time estiver incompleto (ou ainda carregando), usa pontos.campeonato da própria liga
+  // (só as rodadas a partir do "inicio" de cada time, ver lib/elegibilidade.js)
+  const offline = isStale(league, mercado);
+  const rodadas = await syncHistory(mercado, times, 1, lastScoredRound(mercado), { offline, parcial: true });
+  const notas = historyNotes();
+  const inicio = startRound(liga.season);
+  const withTotals = times.map((t) => {
+    const conta = countedRounds(t?.time_id, rodadas, inicio);
+    // time que ainda não começou a contar fica sem pontos (não vale o total do Cartola)
+    if (rodadas.length && !conta.length) return { t, pontos: null };
+    const soma = sumRounds(t?.time_id, conta);
+    return { t, pontos: soma.completo && rodadas.length ? soma.total : t?.pontos?.campeonato ?? null };
+  });
+
+  const desempate = tiebreakersFor(liga.season);
+  const ranked = rankWithTies(
+    withTotals.map(({ t, pontos }) => ({
+      time_id: t?.time_id,
       time: t?.nome?.trim(),
       cartoleiro: t?.nome_cartola?.trim(),
-      pontos: t?.pontos?.campeonato,
-    }));
+      pontos,
+    })),
+    { desempate, rodadas }
+  );
 
-    // Texto pronto para colar: todos participantes + destaque top 4
-    let texto = `🏆 *${league?.liga?.nome || "Liga"}*\n`;
-    texto += `📊 *Classificação Geral*\n`;
-    texto += `📅 *Rodada atual:* ${mercado?.nome_rodada || (rodadaAtual ? `Rodada ${rodadaAtual}` : "-")}\n`;
-    texto += `🕒 *Gerado em:* ${nowBR()}\n\n`;
-
-    if (!lista.some((x) => x.pontos != null)) {
-      texto += `⚠️ Ainda sem pontuação geral (campeonato não começou ou não pontuou ainda).\n`;
-    } else {
-      texto += `⭐ *Destaques (TOP 4)*\n`;
-      lista.slice(0, 4).forEach((r) => (texto += `${formatRow(r.pos, r.time, r.cartoleiro, r.pontos, true)}\n`));
-      texto += `\n📋 *Todos os participantes*\n`;
-      lista.forEach((r) => (texto += `${formatRow(r.pos, r.time, r.cartoleiro, r.pontos)}\n`));
-    }
+  // ↑/↓ em relação à rodada anterior; a classificação desta rodada fica salva para a próxima
+  // (com dados antigos do cache ou o histórico carregando não salva nada nem mostra setas)
+  const semPontos = !ranked.some((x) => x.pontos != null);
+  const lista = semPontos || notas.length ? ranked : movementSinceLastRound(ranked, rodadas.length, { liga: liga.slug, desempate, inicio, registrar: !offline });
+  const { subidas, quedas } = biggestMoves(lista);
 
-    res.json({ ok: true, rodadaAtual, texto, ranking: lista });
-  } catch (err) {
-    if (isLikelyExpired(err)) {
-      return res.status(401).json({ ok: false, error: "Expired", messageFriendly: friendlyAuthHint() });
-    }
-    res.status(err?.response?.status || 500).json({
-      ok: false,
-      error: err?.message || "Erro",
-      data: err?.response?.data || null,
-    });
+  // Texto pronto para colar: todos participantes + destaque top 4 de quem concorre a prêmio (templates/geral.txt)
+  const header = headerData(league, mercado);
+  const lines = leagueTemplate(liga, "geral", {
+    ...header,
+    avisos: [...header.avisos, ...notas],
+    semPontos,
+    ranking: templateRows(liga, lista),
+    destaques: templateRows(liga, prizeRanking(liga.season, lista, 4)),
+    movimentos: subidas.length || quedas.length ? { subidas, quedas } : null,
+    premiacao: (await loadLedger(liga, league, mercado, times, { parcial: true })).premiacao,
+  });
+
+  return {
+    liga: league?.liga?.nome,
+    rodadaAtual,
+    times: leagueCounts(league),
+    ...renderMessage(lines, format),
+    ranking: withEligibility(liga.season, lista),
+  };
+}
+
+router.get("/geral", messageRoute(geralMessage));
+
+async function recordesMessage(liga, { format }) {
+  const mercado = await loadMarketStatus();
+  const league = await loadLeague(liga, "campeonato", mercado);
+  const times = Array.isArray(league?.times) ? league.times : [];
+
+  const rodadas = await syncHistory(mercado, times, 1, lastScoredRound(mercado), { offline: isStale(league, mercado) });
+  const recordes = seasonRecords(times, rodadas.length, liga.season);
+
+  // templates/recordes.txt
+  const lines = leagueTemplate(liga, "recordes", {
+    ...headerData(league, mercado),
+    ultimaRodada: rodadas.length,
+    semRodadas: !recordes.maiorRodada.length,
+    maiorRodada: formatScores(recordes.maiorRodada),
+    menorRodada: formatScores(recordes.menorRodada),
+    maiorSequencia: recordes.maiorSequencia.map((q) => ({
+      ...q,
+      periodo: q.de === q.ate ? `rodada ${q.de}` : `rodadas ${q.de} a ${q.ate}`,
+    })),
+    maisPremiacoes: recordes.maisPremiacoes.map((p) => ({ ...p, competicoes: p.competicoes.join(", ") })),
+  });
+
+  return { times: leagueCounts(league), ...renderMessage(lines, format), recordes };
+}
+
+router.get("/recordes", messageRoute(recordesMessage));
+
+async function premiosMessage(liga, { format }) {
+  const mercado = await loadMarketStatus();
+  const league = await loadLeague(liga, "campeonato", mercado);
+  const times = Array.isArray(league?.times) ? league.times : [];
+
+  const { ledger, premiacao } = await loadLedger(liga, league, mercado, times);
+  // templates/premios.txt
+  const lines = leagueTemplate(liga, "premios", { ...headerData(league, mercado), temporada: liga.season.temporada, premiacao });
+
+  // valores do JSON em centavos
+  return { times: leagueCounts(league), ...renderMessage(lines, format), premiacao: ledger };
+}
+
+router.get("/premios", messageRoute(premiosMessage));
+
+async function confrontosMessage(liga, { format, rodada: pedida = null }) {
+  const mercado = await loadMarketStatus();
+  const league = await loadLeague(liga, "campeonato", mercado);
+  const times = Array.isArray(league?.times) ? league.times : [];
+  const { inicio } = confrontosConfig(liga.season);
+
+  // Padrão: com o mercado aberto, resultado da última rodada + jogos da próxima;
+  // com a rodada rolando, os jogos dela (resultado sai quando pontuar)
+  const ultima = lastScoredRound(mercado);
+  const aberto = mercado?.status_mercado === 1 || mercado?.status_mercado === 6;
+  const rodada = pedida ?? (aberto ? Math.max(ultima, 1) : mercado?.rodada_atual ?? 1);
+  await syncHistory(mercado, times, inicio, rodada, { offline: isStale(league, mercado) });
+
+  const { fixture, nomeDe, avisos } = loadConfrontos(liga, times);
+  const jogos = roundMatches(fixture, rodada, liga.season);
+  const proximaRodada = !pedida && mercado?.status_mercado === 1 ? mercado.rodada_atual : null;
+  const proxima = proximaRodada && proximaRodada !== rodada ? roundMatches(fixture, proximaRodada, liga.season) : [];
+
+  // templates/confrontos.txt
+  const header = headerData(league, mercado);
+  const lines = leagueTemplate(liga, "confrontos", {
+    ...header,
+    avisos: [...header.avisos, ...avisos],
+    rodada,
+    inicio,
+    jogos: matchRows(jogos, nomeDe),
+    proxima: proxima.length ? { rodada: proximaRodada, jogos: matchRows(proxima, nomeDe) } : null,
+  });
+
+  return { rodada, ...renderMessage(lines, format), jogos, proxima };
+}
+
+router.get("/confrontos", messageRoute(confrontosMessage));
+
+async function tabelaConfrontosMessage(liga, { format }) {
+  const mercado = await loadMarketStatus();
+  const league = await loadLeague(liga, "campeonato", mercado);
+  const times = Array.isArray(league?.times) ? league.times : [];
+  const { inicio } = confrontosConfig(liga.season);
+
+  const rodadas = await syncHistory(mercado, times, inicio, lastScoredRound(mercado), {
+    offline: isStale(league, mercado),
+  });
+  const ultimaRodada = rodadas.length ? rodadas[rodadas.length - 1] : inicio - 1;
+  const { fixture, nomeDe, avisos } = loadConfrontos(liga, times);
+  const tabela = standings(fixture, ultimaRodada, liga.season).map((l) => ({ ...l, time: nomeDe(l.time_id) }));
+
+  // templates/tabela-confrontos.txt
+  const medalFor = loadMedals({ dirs: liga.templateDirs });
+  const header = headerData(league, mercado);
+  const lines = leagueTemplate(liga, "tabela-confrontos", {
+    ...header,
+    avisos: [...header.avisos, ...avisos],
+    inicio,
+    ultimaRodada,
+    semJogos: !tabela.some((l) => l.jogos),
+    tabela: tabela.map((l) => ({ ...l, medalha: medalFor(l.pos), saldo: formatPoints(l.saldo) })),
+  });
+
+  return { ultimaRodada, ...renderMessage(lines, format), tabela };
+}
+
+router.get("/tabela-confrontos", messageRoute(tabelaConfrontosMessage));
+
+async function copaMessage(liga, { format }) {
+  if (!liga.season.copa) {
+    const err = new Error("Copa não configurada (config/temporada.json → \"copa\")");
+    err.status = 404;
+    throw err;
   }
-});
+  const mercado = await loadMarketStatus();
+  const league = await loadLeague(liga, "campeonato", mercado);
+  const times = Array.isArray(league?.times) ? league.times : [];
 
-app.get("/mensal", async (req, res) => {
-  try {
-    const mercado = await getMarketStatus();
-    const rodadaAtual = mercado?.rodada_atual ?? 1;
-    const segment = pickMonthlySegment(rodadaAtual);
+  // chaveamento a partir do histórico: sorteio pela geral + rodadas de cada fase
+  const rodadas = await syncHistory(mercado, times, 1, lastScoredRound(mercado), { offline: isStale(league, mercado) });
+  const copa = cupBracket(times, liga.season, rodadas.length, { file: liga.copaFile });
 
-    const league = await getLeague("campeonato", 1);
-    const times = Array.isArray(league?.times) ? league.times : [];
+  // templates/copa.txt
+  const lines = leagueTemplate(liga, "copa", { ...headerData(league, mercado), ...cupTemplateData(copa, formatPoints) });
 
-    // Se ainda não começou (pontos tudo null), devolve mensagem pronta
-    const hasAnyPoints = times.some((t) => t?.pontos?.campeonato != null || t?.pontos?.rodada != null);
-    if (!hasAnyPoints) {
-      const texto =
-        `🗓️ *Mensal (personalizado) — ${segment.label}*\n` +
-        `🏟️ *${league?.liga?.nome || "Liga"}*\n` +
-        `🕒 *Gerado em:* ${nowBR()}\n\n` +
-        `⚠️ Ainda sem pontuação (campeonato não começou / sem rodada pontuada).\n`;
-      return res.json({ ok: true, segment, texto, ranking: [] });
-    }
+  return { ...renderMessage(lines, format), copa };
+}
 
-    // Tenta calcular "mensal personalizado" somando pontuações por rodada dentro do segmento
-    // Se o endpoint de pontuação por rodada falhar, retornamos orientação simples.
-    const calc = [];
-    for (const t of times) {
-      const timeId = t?.time_id;
-      const nome = t?.nome?.trim();
-      const cartoleiro = t?.nome_cartola?.trim();
+router.get("/copa", messageRoute(copaMessage));
 
-      let total = null;
+// Boletim de um participante: /time/:id (time_id do /participantes)
+async function timeMessage(liga, { format, id }) {
+  const timeId = Number(id);
+  const mercado = await loadMarketStatus();
+  const league = await loadLeague(liga, "campeonato", mercado);
+  const times = Array.isArray(league?.times) ? league.times : [];
 
-      try {
-        const hist = await getTeamPointsByRound(timeId);
-
-        // Possíveis formatos. Tentamos cobrir:
-        // 1) hist é array: [{ rodada: 1, pontos: 123.45 }, ...]
-        // 2) hist.pontuacao é objeto: { "1": 123.45, "2": 98.76, ... }
-        if (Array.isArray(hist)) {
-          total = hist
-            .filter((x) => x?.rodada >= segment.start && x?.rodada <= segment.end)
-            .reduce((sum, x) => sum + (Number(x?.pontos) || 0), 0);
-        } else if (hist && typeof hist === "object" && hist.pontuacao && typeof hist.pontuacao === "object") {
-          total = 0;
-          for (let r = segment.start; r <= segment.end; r++) {
-            total += Number(hist.pontuacao[String(r)] || 0);
-          }
-        } else {
-          // formato desconhecido
-          total = null;
-        }
-      } catch (e) {
-        // Se falhar, deixamos null e seguimos
-        total = null;
-      }
+  // pontos de todas as rodadas no histórico (getTeamPointsByRound e, no que faltar, rodada a rodada)
+  const rodadas = await syncHistory(mercado, times, 1, lastScoredRound(mercado), { offline: isStale(league, mercado) });
+  const boletim = Number.isInteger(timeId) ? teamReport(times, timeId, rodadas.length, liga.season) : null;
+  if (!boletim) {
+    const err = new Error(`Time não encontrado na liga: ${id} (veja /participantes)`);
+    err.status = 404;
+    throw err;
+  }
 
-      calc.push({ time_id: timeId, time: nome, cartoleiro, pontos: total });
-    }
+  // templates/time.txt (valores de prêmios do JSON em centavos)
+  const lines = leagueTemplate(liga, "time", { ...headerData(league, mercado), ...reportTemplateData(boletim, formatPoints) });
+  return { ...renderMessage(lines, format), boletim };
+}
 
-    const okToRank = calc.some((x) => x.pontos != null);
-    if (!okToRank) {
-      const texto =
-        `🗓️ *Mensal (personalizado) — ${segment.label}*\n` +
-        `🏟️ *${league?.liga?.nome || "Liga"}*\n` +
-        `🕒 *Gerado em:* ${nowBR()}\n\n` +
-        `⚠️ Não consegui calcular o “mensal personalizado” automaticamente (endpoint de pontuação por rodada não respondeu no servidor).\n` +
-        `✅ Você ainda pode usar /geral e /rodada normalmente.\n`;
-      return res.json({ ok: true, segment, texto, ranking: [] });
-    }
+router.get("/time/:id", messageRoute(timeMessage));
 
-    const ranking = calc
-      .filter((x) => x.pontos != null)
-      .sort((a, b) => b.pontos - a.pontos)
-      .map((x, idx) => ({ ...x, pos: idx + 1 }));
+/**
+ * Ranking de uma competição (faixa de rodadas) da liga somando o histórico local.
+ * Só as rodadas que ainda não estão no histórico são buscadas na API.
+ */
+async function rankCompetition(liga, comp, mercado, format) {
+  const league = await loadLeague(liga, "campeonato", mercado);
+  const times = Array.isArray(league?.times) ? league.times : [];
 
-    // Texto pronto para colar (TOP 4 + todos)
-    let texto = `🗓️ *Mensal (personalizado) — ${segment.label}*\n`;
-    texto += `🏟️ *${league?.liga?.nome || "Liga"}*\n`;
-    texto += `🕒 *Gerado em:* ${nowBR()}\n\n`;
+  // Com o histórico ainda carregando (lib/historico.js frio), a classificação e a premiação ficam
+  // de fora e a mensagem sai só com o aviso
+  const hasAnyPoints = times.some((t) => t?.pontos?.campeonato != null || t?.pontos?.rodada != null);
+  const rodadas = hasAnyPoints
+    ? await syncHistory(mercado, times, comp.start, comp.end, { offline: isStale(league, mercado), parcial: true })
+    : [];
+  const carregando = historyLoading();
 
-    texto += `⭐ *Premiados do mês (TOP 4)*\n`;
-    ranking.slice(0, 4).forEach((r) => {
-      texto += `${formatRow(r.pos, r.time, r.cartoleiro, r.pontos, true)}\n`;
+  // templates/mensal.txt para os segmentos mensais, templates/competicao.txt para o resto
+  // o mensal também traz a premiação da temporada (templates/premiacao.txt)
+  const premiacao = comp.tipo === "mensal" ? (await loadLedger(liga, league, mercado, times, { parcial: true })).premiacao : null;
+  const notas = historyNotes();
+  const render = (state, extra = {}) => {
+    // premiados: TOP N entre quem pode levar prêmio (lib/elegibilidade.js)
+    const premiados = prizeRanking(liga.season, extra.ranking || [], comp.premiados);
+    const header = headerData(league, mercado);
+    const lines = leagueTemplate(liga, comp.tipo === "mensal" ? "mensal" : "competicao", {
+      ...header,
+      avisos: [...header.avisos, ...notas],
+      competicao: comp,
+      ...state,
+      ranking: templateRows(liga, extra.ranking || []),
+      premiados: templateRows(liga, premiados),
+      premiacao,
     });
+    return {
+      liga: league?.liga?.nome,
+      rodadas: [],
+      times: leagueCounts(league),
+      ...extra,
+      ranking: withEligibility(liga.season, extra.ranking || []),
+      premiados,
+      ...renderMessage(lines, format),
+    };
+  };
 
-    texto += `\n📋 *Todos os participantes (mensal)*\n`;
-    ranking.forEach((r) => {
-      texto += `${formatRow(r.pos, r.time, r.cartoleiro, r.pontos)}\n`;
-    });
+  // Se ainda não começou (pontos tudo null), devolve mensagem pronta
+  if (!hasAnyPoints) return render({ semPontos: true });
+  if (!rodadas.length) return render({ semRodadas: true });
+  if (carregando) return render({}, { rodadas });
 
-    res.json({ ok: true, segment, texto, ranking });
-  } catch (err) {
-    if (isLikelyExpired(err)) {
-      return res.status(401).json({ ok: false, error: "Expired", messageFriendly: friendlyAuthHint() });
+  const inicio = startRound(liga.season);
+  const calc = times.map((t) => {
+    const conta = countedRounds(t?.time_id, rodadas, inicio);
+    return {
+      time_id: t?.time_id,
+      time: t?.nome?.trim(),
+      cartoleiro: t?.nome_cartola?.trim(),
+      pontos: conta.length ? sumRounds(t?.time_id, conta).total : null,
+    };
+  });
+
+  if (!calc.some((x) => x.pontos != null)) return render({ semCalculo: true }, { rodadas });
+
+  const ranking = rankWithTies(
+    calc.filter((x) => x.pontos != null),
+    { desempate: tiebreakersFor(liga.season, comp), rodadas }
+  );
+
+  return render({}, { rodadas, ranking });
+}
+
+// `competicao`: segmento mensal a usar (padrão: o da rodada atual)
+async function mensalMessage(liga, { format, competicao = null }) {
+  const mercado = await loadMarketStatus();
+  const segment = competicao || pickMonthlySegment(liga, mercado?.rodada_atual ?? 1);
+  const result = await rankCompetition(liga, segment, mercado, format);
+  return { segment, ...result };
+}
+
+router.get("/mensal", messageRoute(mensalMessage));
+
+// Mensagens prontas por tipo (rotas acima, agendador e envio usam as mesmas funções)
+const MESSAGES = {
+  rodada: rodadaMessage,
+  parcial: parcialMessage,
+  escalacoes: escalacoesMessage,
+  geral: geralMessage,
+  recordes: recordesMessage,
+  premios: premiosMessage,
+  confrontos: confrontosMessage,
+  "tabela-confrontos": tabelaConfrontosMessage,
+  copa: copaMessage,
+  mensal: mensalMessage,
+};
+
+// Cards em imagem (lib/cards.js) com os mesmos dados das mensagens: /rodada.svg, /geral.png, /mensal.svg...
+function cardRows(rows) {
+  return rows.map((r) => ({ ...r, pontos: formatPoints(r.pontos) }));
+}
+
+const CARDS = {
+  rodada: async (liga) => {
+    const r = await rodadaMessage(liga, { format: "plain" });
+    return roundCard({ liga: r.liga || "Liga", rodada: r.rodadaAtual ?? "-", linhas: cardRows(r.top), geradoEm: nowBR() });
+  },
+  geral: async (liga) => {
+    const r = await geralMessage(liga, { format: "plain" });
+    return overallCard({ liga: r.liga || "Liga", rodada: r.rodadaAtual ?? "-", linhas: cardRows(r.ranking), geradoEm: nowBR() });
+  },
+  mensal: async (liga) => {
+    const r = await mensalMessage(liga, { format: "plain" });
+    const linhas = cardRows(r.premiados || []);
+    return monthlyCard({ liga: r.liga || "Liga", competicao: r.segment, linhas, geradoEm: nowBR() });
+  },
+};
+
+function cardRoute(build) {
+  return async (req, res) => {
+    try {
+      const svg = await build(req.liga);
+      if (req.params.ext === "svg") return res.type("image/svg+xml").send(svg);
+      res.type("png").send(await svgToPng(svg));
+    } catch (err) {
+      sendRouteError(res, err);
+    }
+  };
+}
+
+for (const [tipo, build] of Object.entries(CARDS)) router.get(`/${tipo}.:ext(svg|png)`, cardRoute(build));
+
+// Planilhas CSV (lib/planilha.js): /export/temporada.csv, /export/geral.csv, /export/mensal.csv
+// ?decimal=ponto troca a vírgula decimal (e o ";" entre colunas) pelo padrão americano
+function requestDecimal(req) {
+  const decimal = String(req.query.decimal || "virgula").toLowerCase();
+  if (!CSV_DECIMALS.includes(decimal)) {
+    const err = new Error(`Decimal desconhecido: ${decimal}. Use: ${CSV_DECIMALS.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+  return decimal;
+}
+
+const EXPORTS = {
+  async temporada(liga, opts) {
+    const mercado = await loadMarketStatus();
+    const league = await loadLeague(liga, "campeonato", mercado);
+    const times = Array.isArray(league?.times) ? league.times : [];
+    const rodadas = await syncHistory(mercado, times, 1, lastScoredRound(mercado), { offline: isStale(league, mercado) });
+    return seasonCsv(times, rodadas.length, liga.season, opts);
+  },
+  // mesma classificação do /geral e do /mensal
+  async geral(liga, opts) {
+    const { ranking } = await geralMessage(liga, { format: "plain" });
+    return overallCsv(ranking, opts);
+  },
+  async mensal(liga, opts) {
+    const { segment, ranking } = await mensalMessage(liga, { format: "plain" });
+    return monthlyCsv(segment, ranking, opts);
+  },
+};
+
+for (const [nome, build] of Object.entries(EXPORTS)) {
+  router.get(`/export/${nome}.csv`, async (req, res) => {
+    try {
+      const csv = await build(req.liga, { decimal: requestDecimal(req) });
+      res.type("text/csv; charset=utf-8");
+      res.set("Content-Disposition", `inline; filename="${req.liga.slug}-${nome}.csv"`);
+      res.send(csv);
+    } catch (err) {
+      sendRouteError(res, err);
     }
-    res.status(err?.response?.status || 500).json({
+  });
+}
+
+/**
+ * Envia uma mensagem para os destinos configurados do tipo (config/temporada.json → "envio").
+ * Monta a mensagem uma vez por formato; cada envio fica no log (data/envios.json).
+ */
+async function deliverMessage(liga, tipo, opcoes = {}, { dryRun = DRY_RUN, origem = "manual", prontas = {} } = {}) {
+  const destinos = destinationsFor(liga.season, tipo);
+  // `prontas`: { formato: resultado } já montados (o agendador manda o que acabou de gerar, sem montar de novo)
+  const porFormato = new Map(Object.entries(prontas));
+  const envios = [];
+  for (const d of destinos) {
+    if (!porFormato.has(d.formato)) porFormato.set(d.formato, await MESSAGES[tipo](liga, { ...opcoes, format: d.formato }));
+    const { texto, mensagens } = porFormato.get(d.formato);
+    const result = await deliver(d, { liga: liga.slug, tipo, format: d.formato, texto, mensagens }, { dryRun });
+    if (result.ok) console.log(`📤 ${liga.slug}/${tipo} → ${d.nome}${dryRun ? " (dry-run)" : ""}`);
+    else console.error(`❌ Envio ${liga.slug}/${tipo} → ${d.nome}: ${result.erro}`);
+    envios.push(result);
+  }
+  appendDeliveryLog(
+    envios.map(({ previa, ...e }) => ({ em: new Date().toISOString(), liga: liga.slug, tipo, origem, ...e }))
+  );
+  return envios;
+}
+
+// Envio manual: POST /enviar/rodada (?dryRun=1 só monta; ?rodada=N como no GET)
+router.post("/enviar/:tipo", async (req, res) => {
+  const { tipo } = req.params;
+  if (!MESSAGES[tipo]) {
+    return res.status(404).json({ ok: false, error: `Mensagem desconhecida: ${tipo}`, disponiveis: Object.keys(MESSAGES) });
+  }
+  if (!destinationsFor(req.liga.season, tipo).length) {
+    return res.status(400).json({ ok: false, error: `Nenhum destino para ${tipo} (config/temporada.json → envio.mensagens)` });
+  }
+  try {
+    const dryRun = DRY_RUN || ["1", "true"].includes(String(req.query.dryRun || "").toLowerCase());
+    const envios = await deliverMessage(req.liga, tipo, { rodada: requestRound(req) }, { dryRun });
+    const ok = envios.every((e) => e.ok);
+    res.status(ok ? 200 : 502).json({ ok, tipo, dryRun, envios });
+  } catch (err) {
+    sendRouteError(res, err);
+  }
+});
+
+// Últimos envios da liga (?limit=N, padrão 50)
+router.get("/envios", (req, res) => {
+  const limit = Math.max(1, Number(req.query.limit) || 50);
+  const envios = loadDeliveryLog().filter((e) => e.liga === req.liga.slug);
+  res.json({ ok: true, dryRun: DRY_RUN, envios: envios.slice(-limit).reverse() });
+});
+
+router.get("/competicoes", (req, res) => {
+  res.json({ ok: true, temporada: req.liga.season.temporada, competicoes: req.liga.season.competicoes });
+});
+
+router.get("/competicoes/:key", async (req, res) => {
+  const competicao = getCompetition(req.liga.season, req.params.key);
+  if (!competicao) {
+    return res.status(404).json({
       ok: false,
-      error: err?.message || "Erro",
-      data: err?.response?.data || null,
+      error: `Competição não encontrada: ${req.params.key}`,
+      disponiveis: req.liga.season.competicoes.map((c) => c.key),
     });
   }
+  try {
+    const format = requestFormat(req);
+    const mercado = await loadMarketStatus();
+    const result = await rankCompetition(req.liga, competicao, mercado, format);
+    res.json({ ok: true, competicao, ...result });
+  } catch (err) {
+    sendRouteError(res, err);
+  }
+});
+
+app.get("/ligas", (req, res) => {
+  res.json({
+    ok: true,
+    padrao: LEAGUES.padrao,
+    ligas: LEAGUES.ligas.map((l) => ({
+      slug: l.slug,
+      padrao: l.padrao,
+      temporada: l.season.temporada,
+      competicoes: l.season.competicoes.length,
+      rotas: `/ligas/${l.slug}`,
+    })),
+  });
+});
+
+app.use(
+  "/ligas/:slug",
+  (req, res, next) => {
+    req.liga = LEAGUES.get(req.params.slug);
+    if (req.liga) return next();
+    res.status(404).json({
+      ok: false,
+      error: `Liga não encontrada: ${req.params.slug}`,
+      disponiveis: LEAGUES.ligas.map((l) => l.slug),
+    });
+  },
+  router
+);
+
+app.use(
+  "/",
+  (req, res, next) => {
+    req.liga = LEAGUES.get(LEAGUES.padrao);
+    next();
+  },
+  router
+);
+
+app.get("/agendador", (req, res) => {
+  const state = loadSchedulerState();
+  res.json({
+    ok: true,
+    ativo: schedulerEnabled(),
+    intervaloSegundos: SCHEDULER_INTERVAL / 1000,
+    acoes: Object.fromEntries(LEAGUES.ligas.map((l) => [l.slug, l.season.agendador?.acoes || {}])),
+    ...state,
+  });
 });
 
 // Health
 app.get("/health", (req, res) => res.json({ ok: true }));
 
+// ============ AGENDADOR ============
+function schedulerEnabled() {
+  return SCHEDULER_INTERVAL > 0 && LEAGUES.ligas.some((l) => l.season.agendador);
+}
+
+// Monta as mensagens do evento, guarda no estado (a última de cada tipo, por liga) e envia para os
+// destinos configurados. Envio que falha (depois das novas tentativas) fica no log e não repete o evento.
+async function runEvent(state, liga, evento) {
+  await warmHistory(liga);
+  for (const acao of actionsFor(liga.season, evento.tipo)) {
+    const result = await MESSAGES[acao](liga, { format: SCHEDULER_FORMAT, ...evento.opcoes });
+    state.mensagens[liga.slug] = {
+      ...state.mensagens[liga.slug],
+      [acao]: { evento: evento.id, geradoEm: new Date().toISOString(), texto: result.texto },
+    };
+    console.log(`🗓️ ${liga.slug}: ${SCHEDULER_EVENTS[evento.tipo]} (${evento.id}) → ${acao}`);
+    await deliverMessage(liga, acao, evento.opcoes, { origem: `agendador ${evento.id}`, prontas: { [SCHEDULER_FORMAT]: result } });
+  }
+}
+
+/**
+ * Uma consulta do agendador: compara o status do mercado com o último salvo e roda as ações
+ * dos eventos ainda não processados. Se alguma ação falhar, o status salvo não avança e o
+ * evento aparece de novo na próxima consulta (até SCHEDULER_MAX_FAILURES tentativas).
+ */
+async function schedulerTick() {
+  const state = loadSchedulerState();
+  const mercado = await getMarketStatus();
+  const atual = { status_mercado: mercado?.status_mercado, rodada_atual: mercado?.rodada_atual };
+  let pendente = false;
+
+  for (const liga of LEAGUES.ligas) {
+    for (const evento of detectEvents(state.mercado, atual, liga.season)) {
+      if (isProcessed(state, liga.slug, evento.id)) continue;
+      // o mercado mudou: nada do cache serve mais
+      clearCache();
+      try {
+        await runEvent(state, liga, evento);
+        markProcessed(state, liga.slug, evento.id);
+        state.ultimoEvento = { liga: liga.slug, ...evento, processadoEm: new Date().toISOString() };
+      } catch (err) {
+        const key = `${liga.slug}:${evento.id}`;
+        state.falhas[key] = (state.falhas[key] || 0) + 1;
+        console.error(`❌ Agendador ${key} (tentativa ${state.falhas[key]}):`, err?.message);
+        if (state.falhas[key] >= SCHEDULER_MAX_FAILURES) markProcessed(state, liga.slug, evento.id);
+        else pendente = true;
+      }
+      saveSchedulerState(state);
+    }
+  }
+
+  if (!pendente) state.mercado = atual;
+  saveSchedulerState(state);
+}
+
+function startScheduler() {
+  if (!schedulerEnabled()) return;
+  const loop = async () => {
+    try {
+      await schedulerTick();
+    } catch (err) {
+      console.error("❌ Agendador:", err?.message);
+    }
+    setTimeout(loop, SCHEDULER_INTERVAL);
+  };
+  loop();
+}
+
 app.listen(PORT, () => {
   console.log(`✅ Server on port ${PORT}`);
-  console.log(`✅ League: ${LEAGUE_SLUG}`);
-  console.log(`✅ Token configured: ${Boolean(ACCESS_TOKEN)}`);
+  console.log(`✅ Leagues: ${LEAGUES.ligas.map((l) => l.slug).join(", ")} (padrão: ${LEAGUES.padrao})`);
+  console.log(`✅ Token configured: ${Boolean(getAccessToken())} (refresh: ${canRefresh()})`);
+  console.log(`✅ Scheduler: ${schedulerEnabled() ? `every ${SCHEDULER_INTERVAL / 1000}s` : "off"}`);
+  startScheduler();
 });